@@ -1,9 +1,15 @@
+import "dotenv/config";
 import express from "express";
 import axios from "axios";
 import * as cheerio from "cheerio";
 import iconv from "iconv-lite";
 import https from "https";
 import http from "http";
+import fs from "fs";
+import crypto from "crypto";
+import path from "path";
+import { fileURLToPath } from "url";
+import { AsyncLocalStorage } from "async_hooks";
 // Optional (recommended) for Kakao: resize/compress images so Kakao can fetch reliably
 let sharp = null;
 try {
@@ -29,14 +35,21 @@ async function getChromium() {
 // =========================================================
 // HAFS Cafeteria Bot (rebuild)
 // - Buttons: 아침/점심/저녁/오늘/내일/이번주
-// - All menus scraped from HAFS site (NO NEIS)
+// - Menus come from pluggable providers (HAFS scrape first, NEIS Open API as fallback)
 // - Primary strategy: fetch HTML via HTTP (NitroEye often blocks HTTPS with 302)
 // - Image proxy kept (optional, used by photo features if you add later)
 // =========================================================
 
 const app = express();
 app.set("trust proxy", true);
-app.use(express.json());
+app.use(
+  express.json({
+    // Discord signs the raw request body
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith("/discord")) req.rawBody = buf;
+    },
+  })
+);
 
 // --- Minimal request logger (useful when Kakao image fetch seems to not hit /img) ---
 // NOTE: Render shows stdout logs under the "Logs" tab (not build logs).
@@ -45,7 +58,7 @@ app.use((req, res, next) => {
   const path = req.path || "";
 
   // Only log key routes to avoid noise
-  const shouldLog = path === "/kakao" || path === "/img" || path === "/menu";
+  const shouldLog = path === "/kakao" || path === "/img" || path === "/menu" || path.startsWith("/api/");
   if (!shouldLog) return next();
 
   const ip = (req.headers["x-forwarded-for"] || "").toString().split(",")[0].trim() || req.ip || req.socket?.remoteAddress || "";
@@ -94,53 +107,507 @@ const httpsAgentHafsIp = new https.Agent({
 
 const BASE_URL = (process.env.BASE_URL || "").trim();
 
-// ----------------- Kakao UI helpers -----------------
-function menuQuickReplies() {
+// ----------------- Bot replies -----------------
+// Intent handlers build a channel-neutral reply; renderKakao / renderTelegram / renderDiscord turn it
+// into each platform's payload. Buttons send `text` back as if the user had typed it.
+//   { blocks: [...], buttons: [{ label, text }] }
+//   blocks: { type: "text", text } | { type: "image", url, alt }
+//         | { type: "list", title, items: [{ title, description, text }] }
+//         | { type: "cards", cards: [{ title, description, imageUrl?, buttons: [{ label, text }] }] }
+function menuButtons(lang = "ko") {
+  // English buttons send English text so the reply stays in English without a saved profile
+  const en = lang === "en";
   return [
-    { label: "아침", action: "message", messageText: "아침" },
-    { label: "점심", action: "message", messageText: "점심" },
-    { label: "저녁", action: "message", messageText: "저녁" },
-    { label: "오늘", action: "message", messageText: "오늘" },
-    { label: "내일", action: "message", messageText: "내일" },
-    { label: "이번주", action: "message", messageText: "이번주" },
+    { label: t(lang, "qr.breakfast"), text: en ? "breakfast" : "아침" },
+    { label: t(lang, "qr.lunch"), text: en ? "lunch" : "점심" },
+    { label: t(lang, "qr.dinner"), text: en ? "dinner" : "저녁" },
+    { label: t(lang, "qr.today"), text: en ? "today" : "오늘" },
+    { label: t(lang, "qr.tomorrow"), text: en ? "tomorrow" : "내일" },
+    { label: t(lang, "qr.week"), text: en ? "this week" : "이번주" },
   ];
 }
 
-function photoQuickReply(ymd, mealKey) {
+function photoButton(ymd, mealKey, lang = "ko") {
   const mealKor = mealKey === "breakfast" ? "아침" : mealKey === "lunch" ? "점심" : mealKey === "dinner" ? "저녁" : mealKey;
-  return [{ label: "식단 사진 보기", action: "message", messageText: `사진 ${ymd} ${mealKor}` }];
+  return [{ label: t(lang, "qr.photo"), text: lang === "en" ? `photo ${ymd} ${mealKey}` : `사진 ${ymd} ${mealKor}` }];
 }
 
-function kakaoText(text, quickReplies = menuQuickReplies()) {
-  const tpl = {
-    outputs: [{ simpleText: { text } }],
-  };
-  if (Array.isArray(quickReplies) && quickReplies.length > 0) {
-    tpl.quickReplies = quickReplies;
+function botReply(blocks, buttons = null) {
+  return { blocks, buttons: Array.isArray(buttons) ? buttons : [] };
+}
+
+function textReply(text, buttons = menuButtons()) {
+  return botReply([{ type: "text", text: String(text ?? "") }], buttons);
+}
+
+function imageReply(titleText, imageUrl, altText, buttons = null) {
+  return botReply(
+    [
+      { type: "text", text: titleText },
+      { type: "image", url: imageUrl, alt: altText || titleText },
+    ],
+    buttons
+  );
+}
+
+function truncateText(text, limit) {
+  const s = String(text || "");
+  return s.length > limit ? `${s.slice(0, limit - 1)}…` : s;
+}
+
+function splitText(text, limit, maxParts) {
+  // Split on paragraph boundaries first, then hard-cut; the last part is truncated if we run out.
+  const parts = [];
+  let cur = "";
+  for (const para of String(text || "").split("\n\n")) {
+    const next = cur ? `${cur}\n\n${para}` : para;
+    if (next.length <= limit) {
+      cur = next;
+      continue;
+    }
+    if (cur) parts.push(cur);
+    cur = para;
+    while (cur.length > limit) {
+      parts.push(cur.slice(0, limit));
+      cur = cur.slice(limit);
+    }
   }
-  return { version: "2.0", template: tpl };
+  if (cur) parts.push(cur);
+  if (parts.length > maxParts) {
+    const kept = parts.slice(0, maxParts);
+    kept[maxParts - 1] = truncateText(parts.slice(maxParts - 1).join("\n\n"), limit);
+    return kept;
+  }
+  return parts.length ? parts : [""];
 }
 
-function kakaoImageCard(titleText, imageUrl, altText, quickReplies = null) {
-  const outputs = [
-    { simpleText: { text: titleText } },
-    { simpleImage: { imageUrl, altText: altText || titleText } },
-  ];
-  const tpl = { outputs };
+// ----------------- Kakao renderer -----------------
+// Kakao limits: simpleText 1000 chars, 3 outputs per response, 10 carousel items,
+// card description ~230 chars (in carousel), listCard 5 items.
+const KAKAO_TEXT_LIMIT = 1000;
+const KAKAO_MAX_OUTPUTS = 3;
+const KAKAO_CAROUSEL_MAX_ITEMS = 10;
+const KAKAO_CARD_DESC_LIMIT = 230;
+const KAKAO_LIST_DESC_LIMIT = 60;
+const KAKAO_QUICK_REPLY_LIMIT = 10;
+const KAKAO_RICH_REPLIES = process.env.KAKAO_RICH_REPLIES !== "0";
+
+function kakaoOutputs(outputs, quickReplies = null) {
+  const tpl = { outputs: outputs.slice(0, KAKAO_MAX_OUTPUTS) };
   if (Array.isArray(quickReplies) && quickReplies.length > 0) {
     tpl.quickReplies = quickReplies;
   }
   return { version: "2.0", template: tpl };
 }
 
+function kakaoButton(b) {
+  return { label: b.label, action: "message", messageText: b.text };
+}
+
+function kakaoCarousel(type, items) {
+  // One carousel output per 10 items (a response can hold up to 3 outputs)
+  const outputs = [];
+  for (let i = 0; i < items.length; i += KAKAO_CAROUSEL_MAX_ITEMS) {
+    outputs.push({ carousel: { type, items: items.slice(i, i + KAKAO_CAROUSEL_MAX_ITEMS) } });
+  }
+  return outputs;
+}
+
+function kakaoListCard(headerTitle, items, buttons = []) {
+  const listCard = { header: { title: truncateText(headerTitle, 35) }, items: items.slice(0, 5) };
+  if (buttons.length) listCard.buttons = buttons.slice(0, 2);
+  return { listCard };
+}
+
+function renderKakao(reply) {
+  const outputs = [];
+  for (const block of reply.blocks) {
+    const room = Math.max(1, KAKAO_MAX_OUTPUTS - outputs.length);
+    if (block.type === "text") {
+      // A long text may use every output that's left (up to 3 simpleTexts)
+      outputs.push(...splitText(block.text, KAKAO_TEXT_LIMIT, room).map((text) => ({ simpleText: { text } })));
+    } else if (block.type === "image") {
+      outputs.push({ simpleImage: { imageUrl: block.url, altText: block.alt } });
+    } else if (block.type === "list") {
+      const items = block.items.map((i) => ({
+        title: i.title,
+        description: truncateText(i.description, KAKAO_LIST_DESC_LIMIT),
+        action: "message",
+        messageText: i.text,
+      }));
+      outputs.push(kakaoListCard(block.title, items));
+    } else if (block.type === "cards") {
+      // basicCard needs a thumbnail on every item; otherwise textCard
+      const withPhotos = block.cards.every((c) => c.imageUrl);
+      const items = block.cards.map((c) => {
+        const card = {
+          title: c.title,
+          description: truncateText(c.description, KAKAO_CARD_DESC_LIMIT),
+          buttons: (c.buttons || []).map(kakaoButton),
+        };
+        if (withPhotos) card.thumbnail = { imageUrl: c.imageUrl };
+        return card;
+      });
+      outputs.push(...kakaoCarousel(withPhotos ? "basicCard" : "textCard", items));
+    }
+  }
+  return kakaoOutputs(outputs, reply.buttons.slice(0, KAKAO_QUICK_REPLY_LIMIT).map(kakaoButton));
+}
+
+
+// ----------------- i18n -----------------
+// Bot text lives here, one entry per language; t() falls back to Korean for missing keys.
+// Placeholders look like {name}.
+const MESSAGES = {
+  ko: {
+    "qr.breakfast": "아침",
+    "qr.lunch": "점심",
+    "qr.dinner": "저녁",
+    "qr.today": "오늘",
+    "qr.tomorrow": "내일",
+    "qr.week": "이번주",
+    "qr.photo": "식단 사진 보기",
+    "qr.settings": "설정",
+    "qr.profile": "내 정보",
+    "qr.profileDelete": "내 정보 삭제",
+    "qr.allergy": "알레르기",
+    help:
+      "원하는 버튼을 눌러 급식을 확인해주세요.\n\n• 아침/점심/저녁: 오늘 해당 식사(사진 있으면 같이 표시)\n• 오늘/내일/이번주: 전체 식단\n• 날짜도 알아들어요: 모레 점심, 금요일, 다음주, 3월 5일 저녁, 3/14\n• 검색 마라탕 / 치킨 언제: 메뉴 검색\n• 알레르기: 알레르기 번호 안내/등록\n• 영양/칼로리: 오늘·이번주 영양 정보\n• 지금 / 다음 식사: 지금 먹을 식사와 남은 시간\n• 설정 / 내 정보: 기본 식사·형식·야식·언어\n• 알림 치킨: 치킨 나오는 날 아침에 알림\n• 채식 / 할랄: 먹을 수 있는 메뉴 골라보기 (🐷돼지 🐮소 🐔닭 🍖고기 🐟해산물)\n• English: \"language english\"",
+    "photo.none": "식단 사진이 없습니다.",
+    "photo.error": "식단 사진을 불러오다가 오류가 났어. 잠시 후 다시 시도해줘!",
+    "photo.title": "📷 ({date}) {meal}",
+    "error.firewall": "학교 사이트 접속이 차단(방화벽)되어 급식을 불러올 수 없어요.\n잠시 후 다시 시도해줘!",
+    "error.circuit": "학교 사이트가 잠시 응답하지 않아 연결을 쉬고 있어요.\n잠시 후 다시 시도해줘!",
+    "error.playwright": "서버에 브라우저 모듈(Playwright)이 없어 학교 사이트 차단을 우회할 수 없어요.\n관리자에게 Playwright 설치 후 재배포를 요청해줘!",
+    "error.generic": "급식 불러오다가 오류가 났어. 잠시 후 다시 시도해줘!",
+    "error.callbackTimeout": "학교 사이트 응답이 너무 늦어 급식을 불러오지 못했어요.\n잠시 후 다시 시도해줘!",
+    "callback.pending": "불러오는 중… 잠시만 기다려줘!",
+    "menu.meal": "🍽 {meal}\n📅 {date}",
+    "menu.noneGeneric": "{meal}정보가 아직 등록되지 않았거나 해당 날짜에는 제공되지 않습니다.",
+    "menu.noneRange": "해당 기간에는 급식이 없어요.",
+    "menu.noMeals": "급식 없음",
+    "menu.details": "자세히",
+    "reason.break": "{icon} {name} 기간이라 급식이 없어요.",
+    "reason.holiday": "{icon} {name}(공휴일)이라 급식이 없어요.",
+    "reason.closed": "{icon} {name}이라 급식이 없어요.",
+    "reason.saturday": "💤 토요일이라 급식이 없는 날이에요.",
+    "reason.sunday": "💤 일요일이라 급식이 없는 날이에요.",
+    "note.source": "ℹ️ 출처: {labels}",
+    "note.stale": "⚠️ 학교 사이트에 연결할 수 없어 저장된 식단을 보여드려요.\n마지막 확인: {time}",
+    "source.hafs": "학교 홈페이지",
+    "source.neis": "NEIS 급식정보",
+    "now.serving": "🍽 지금은 {meal} 시간이에요 ({span}, {left} 남음)",
+    "now.upcoming": "⏰ {day}{meal}까지 {left} 남음 ({span})",
+    "now.tomorrow": "내일 ",
+    "now.none": "🍽 앞으로 {days}일 동안 등록된 급식이 없어요.",
+    "duration.min": "{m}분",
+    "duration.hour": "{h}시간",
+    "duration.hourMin": "{h}시간 {m}분",
+    "search.none": "🔍 '{query}'이(가) 들어간 메뉴를 찾지 못했어요.",
+    "search.title": "🔍 '{query}' 검색 결과",
+    "search.more": "…외 {count}건",
+    "search.today": "오늘",
+    "search.yesterday": "어제",
+    "search.ago": "{days}일 전",
+    "nutrition.none": "해당 날짜의 급식 정보가 아직 등록되지 않았거나 제공되지 않는 날입니다.",
+    "nutrition.title": "🥗 영양 정보\n📅 {date}",
+    "nutrition.rangeTitle": "🥗 {meal}영양 정보 ({from} ~ {to})",
+    "nutrition.total": "합계: {value}",
+    "nutrition.weekTotal": "주간 합계: {value}",
+    "nutrition.average": "하루 평균: {kcal}kcal",
+    "nutrition.unknown": "정보 없음",
+    "nutrition.carbs": "탄수화물",
+    "nutrition.protein": "단백질",
+    "nutrition.fat": "지방",
+    "nutrition.calcium": "칼슘",
+    "allergy.noUser": "사용자 정보를 확인할 수 없어 알레르기를 저장하지 못했어요.",
+    "allergy.ask": "등록할 알레르기를 번호나 이름으로 알려주세요.\n예) 알레르기 등록 2 5 / 알레르기 등록 우유 땅콩",
+    "allergy.saved": "✅ 내 알레르기: {list}\n해당 재료가 들어간 메뉴에는 ⚠️ 표시가 붙어요.",
+    "allergy.table": "🥜 알레르기 번호 안내\n{table}\n\n내 알레르기: {mine}\n\n• 알레르기 등록 2 5 (또는 우유 대두)\n• 알레르기 삭제 5 / 알레르기 삭제 (전체)",
+    "common.none": "없음",
+    "settings.noUser": "사용자 정보를 확인할 수 없어 설정을 저장할 수 없어요.",
+    "settings.title": "⚙️ 내 설정",
+    "settings.pick": "바꿀 항목을 골라주세요.",
+    "settings.current": "⚙️ {name}: 지금은 '{value}'이에요.\n원하는 값을 골라주세요.",
+    "settings.saved": "✅ {name}: {value}(으)로 저장했어요.",
+    "settings.allergy": "알레르기",
+    "profile.noUser": "사용자 정보를 확인할 수 없어요.",
+    "profile.deleted": "🗑 저장된 내 정보를 모두 삭제했어요.",
+    "profile.empty": "저장된 정보가 없어요.",
+    "profile.emptyHint": "저장된 정보가 없어요. '설정'에서 원하는 항목을 정할 수 있어요.",
+    "profile.title": "🙋 저장된 내 정보",
+    "profile.updatedAt": "마지막 수정",
+    "profile.privacy": "카카오 사용자 키 외의 개인정보는 저장하지 않아요.",
+    "diet.vegetarian": "🌱 채식 메뉴 안내",
+    "diet.halal": "☪️ 할랄 메뉴 안내",
+    "diet.ok": "✅ 먹을 수 있어요",
+    "diet.check": "⚠️ 고기 포함 (할랄 인증 확인 필요)",
+    "diet.avoid": "❌ 피하세요",
+    "diet.note": "※ 메뉴 이름과 알레르기 번호로 추정한 결과예요. 양념·육수에 들어간 재료는 빠질 수 있어요.",
+    "web.title": "HAFS 급식",
+    "web.day": "오늘·내일",
+    "web.week": "주간",
+    "web.today": "오늘",
+    "web.thisWeek": "이번주",
+    "web.prev": "◀ 이전",
+    "web.next": "다음 ▶",
+    "web.weekdays": "일,월,화,수,목,금,토",
+    "web.photoAlt": "{date} {meal} 식단 사진",
+    "web.kakao": "📷 카카오톡에서 사진 보기: {cmd}",
+    "web.error": "학교 사이트에 연결할 수 없어 급식을 불러오지 못했어요. 잠시 후 새로고침해 주세요.",
+    "web.otherLang": "English",
+    "digest.title": "🍱 {date} ({day}) 급식",
+    "menu.changed": "🔄 변경됨: {change}",
+    "qr.photoWatch": "사진 올라오면 알려줘",
+    "photoWatch.notYet": "아직 사진이 없어요 — 보통 {time}쯤 올라와요",
+    "photoWatch.usually": "\n보통 {time}쯤 올라와요.",
+    "photoWatch.subscribed": "🔔 오늘 {meal} 사진이 올라오면 알려드릴게요.{hint}",
+    "photoWatch.ready": "📷 {date} {meal} 사진이 올라왔어요!",
+    "photoWatch.tooLate": "오늘 {meal} 사진은 더 이상 올라오지 않을 것 같아요.",
+    "photoWatch.todayOnly": "사진 알림은 오늘 식사만 신청할 수 있어요.",
+    "photoWatch.kakaoOnly": "📷 사진 알림은 카카오톡 채널에서만 받을 수 있어요.",
+    "changes.title": "🔄 {date} 식단이 변경됐어요",
+    "qr.alertsOn": "알림 켜기",
+    "qr.alertsOff": "알림 끄기",
+    "alert.name": "메뉴 알림",
+    "alert.kakaoOnly": "🔔 메뉴 알림은 카카오톡 채널에서만 받을 수 있어요.",
+    "alert.empty": "🔔 등록된 메뉴 알림이 없어요.\n'알림 치킨'처럼 보내면 치킨이 나오는 날 아침 {time}에 알려드려요.",
+    "alert.list": "🔔 내 메뉴 알림 ({state})\n{list}\n\n• 알림 마라탕: 추가\n• 알림 삭제 치킨: 삭제 (알림 삭제: 전체)\n• 알림 끄기 / 알림 켜기",
+    "alert.stateOn": "켜짐",
+    "alert.stateOff": "꺼짐",
+    "alert.added": "✅ '{keywords}' 알림을 등록했어요. 메뉴에 나오는 날 아침 {time}에 알려드려요.",
+    "alert.stillOff": "🔕 지금은 알림이 꺼져 있어요. '알림 켜기'로 다시 받을 수 있어요.",
+    "alert.exists": "이미 등록된 알림이에요. '알림'으로 목록을 볼 수 있어요.",
+    "alert.limit": "알림은 최대 {max}개까지 등록할 수 있어요.",
+    "alert.removed": "🗑 '{keywords}' 알림을 삭제했어요.",
+    "alert.removedAll": "🗑 메뉴 알림을 모두 삭제했어요.",
+    "alert.notFound": "'{keyword}' 알림은 등록되어 있지 않아요.",
+    "alert.off": "🔕 메뉴 알림을 껐어요. 등록한 메뉴는 그대로 남아 있어요.",
+    "alert.on": "🔔 메뉴 알림을 다시 켰어요. 매일 아침 {time}에 확인해요.",
+    "alert.message": "🔔 {date} 메뉴 알림\n{lines}",
+  },
+  en: {
+    "qr.breakfast": "Breakfast",
+    "qr.lunch": "Lunch",
+    "qr.dinner": "Dinner",
+    "qr.today": "Today",
+    "qr.tomorrow": "Tomorrow",
+    "qr.week": "This week",
+    "qr.photo": "View photo",
+    "qr.settings": "Settings",
+    "qr.profile": "My info",
+    "qr.profileDelete": "Delete my info",
+    "qr.allergy": "Allergies",
+    help:
+      "Tap a button to see the cafeteria menu.\n\n• breakfast / lunch / dinner: today's meal (with photo when available)\n• today / tomorrow / this week: full menu\n• Dates work too: lunch tomorrow, friday, next week, Oct 21 dinner, 3/14\n• search pizza / when is chicken: find a dish\n• allergy: allergen codes and your alerts\n• nutrition / calories: today's or this week's nutrition\n• now / next meal: what's being served and how long until the next meal\n• settings / my info: default meal, format, late snack, language\n• alert chicken: a morning alert when chicken is served\n• vegetarian / halal: which dishes you can eat (🐷pork 🐮beef 🐔chicken 🍖meat 🐟seafood)\n• 한국어: \"언어 한국어\"",
+    "photo.none": "No photo for this meal yet.",
+    "photo.error": "Couldn't load the meal photo. Please try again in a moment!",
+    "photo.title": "📷 ({date}) {meal}",
+    "error.firewall": "The school website is blocking us (firewall), so the menu can't be loaded.\nPlease try again in a moment!",
+    "error.circuit": "The school website isn't responding, so we're giving it a short break.\nPlease try again in a moment!",
+    "error.playwright": "The server is missing its browser module (Playwright) needed to get past the school site's block.\nPlease ask the admin to install Playwright and redeploy!",
+    "error.generic": "Something went wrong while loading the menu. Please try again in a moment!",
+    "error.callbackTimeout": "The school website took too long to respond, so the menu couldn't be loaded.\nPlease try again in a moment!",
+    "callback.pending": "Loading… one moment!",
+    "menu.meal": "🍽 {meal}\n📅 {date}",
+    "menu.noneGeneric": "No {meal}menu has been posted for this date, or no meal is served.",
+    "menu.noneRange": "No meals are served in this period.",
+    "menu.noMeals": "No meals",
+    "menu.details": "Details",
+    "reason.break": "{icon} No meals: {name}.",
+    "reason.holiday": "{icon} No meals: public holiday ({name}).",
+    "reason.closed": "{icon} No meals: school closed ({name}).",
+    "reason.saturday": "💤 No meals on Saturdays.",
+    "reason.sunday": "💤 No meals on Sundays.",
+    "note.source": "ℹ️ Source: {labels}",
+    "note.stale": "⚠️ The school website is unreachable, so this is a saved copy of the menu.\nLast checked: {time}",
+    "source.hafs": "school website",
+    "source.neis": "NEIS meal service",
+    "now.serving": "🍽 {meal} is being served now ({span}, {left} left)",
+    "now.upcoming": "⏰ {left} until {day}{meal} ({span})",
+    "now.tomorrow": "tomorrow's ",
+    "now.none": "🍽 No meals are posted for the next {days} days.",
+    "duration.min": "{m} min",
+    "duration.hour": "{h} h",
+    "duration.hourMin": "{h} h {m} min",
+    "search.none": "🔍 No dishes matching '{query}'.",
+    "search.title": "🔍 Results for '{query}'",
+    "search.more": "…and {count} more",
+    "search.today": "today",
+    "search.yesterday": "yesterday",
+    "search.ago": "{days} days ago",
+    "nutrition.none": "No menu has been posted for this date, or no meal is served.",
+    "nutrition.title": "🥗 Nutrition\n📅 {date}",
+    "nutrition.rangeTitle": "🥗 {meal}Nutrition ({from} ~ {to})",
+    "nutrition.total": "Total: {value}",
+    "nutrition.weekTotal": "Week total: {value}",
+    "nutrition.average": "Daily average: {kcal}kcal",
+    "nutrition.unknown": "no data",
+    "nutrition.carbs": "Carbs",
+    "nutrition.protein": "Protein",
+    "nutrition.fat": "Fat",
+    "nutrition.calcium": "Calcium",
+    "allergy.noUser": "Couldn't identify you, so your allergies weren't saved.",
+    "allergy.ask": "Tell me which allergens to add, by number or name.\ne.g. allergy add 2 5 / allergy add milk peanut",
+    "allergy.saved": "✅ My allergies: {list}\nDishes containing them will be marked with ⚠️.",
+    "allergy.table": "🥜 Allergen codes\n{table}\n\nMy allergies: {mine}\n\n• allergy add 2 5 (or milk soybean)\n• allergy remove 5 / allergy remove (all)",
+    "common.none": "none",
+    "settings.noUser": "Couldn't identify you, so settings can't be saved.",
+    "settings.title": "⚙️ My settings",
+    "settings.pick": "Pick a setting to change.",
+    "settings.current": "⚙️ {name}: currently '{value}'.\nPick a new value.",
+    "settings.saved": "✅ {name} set to {value}.",
+    "settings.allergy": "Allergies",
+    "profile.noUser": "Couldn't identify you.",
+    "profile.deleted": "🗑 All of your saved info has been deleted.",
+    "profile.empty": "Nothing is saved for you.",
+    "profile.emptyHint": "Nothing is saved for you yet. Use 'settings' to choose your preferences.",
+    "profile.title": "🙋 My saved info",
+    "profile.updatedAt": "Last updated",
+    "profile.privacy": "Nothing but your Kakao user key is stored.",
+    "diet.vegetarian": "🌱 Vegetarian guide",
+    "diet.halal": "☪️ Halal guide",
+    "diet.ok": "✅ OK to eat",
+    "diet.check": "⚠️ Contains meat (check halal certification)",
+    "diet.avoid": "❌ Avoid",
+    "diet.note": "※ Guessed from dish names and allergen codes. Ingredients in sauces or broth may be missed.",
+    "web.title": "HAFS Cafeteria",
+    "web.day": "Today & tomorrow",
+    "web.week": "Week",
+    "web.today": "Today",
+    "web.thisWeek": "This week",
+    "web.prev": "◀ Prev",
+    "web.next": "Next ▶",
+    "web.weekdays": "Sun,Mon,Tue,Wed,Thu,Fri,Sat",
+    "web.photoAlt": "Photo of {meal} on {date}",
+    "web.kakao": "📷 Photo in KakaoTalk: {cmd}",
+    "web.error": "The school website is unreachable, so the menu couldn't be loaded. Please refresh in a moment.",
+    "web.otherLang": "한국어",
+    "digest.title": "🍱 Menu for {day} {date}",
+    "menu.changed": "🔄 Changed: {change}",
+    "qr.photoWatch": "Notify me",
+    "photoWatch.notYet": "No photo yet — it usually goes up around {time}",
+    "photoWatch.usually": "\nIt usually goes up around {time}.",
+    "photoWatch.subscribed": "🔔 We'll let you know when today's {meal} photo is up.{hint}",
+    "photoWatch.ready": "📷 The {meal} photo for {date} is up!",
+    "photoWatch.tooLate": "Today's {meal} photo probably won't be posted anymore.",
+    "photoWatch.todayOnly": "Photo alerts only work for today's meals.",
+    "photoWatch.kakaoOnly": "📷 Photo alerts are only available in the KakaoTalk channel.",
+    "changes.title": "🔄 The menu for {date} has changed",
+    "qr.alertsOn": "Alerts on",
+    "qr.alertsOff": "Alerts off",
+    "alert.name": "Menu alerts",
+    "alert.kakaoOnly": "🔔 Menu alerts are only available in the KakaoTalk channel.",
+    "alert.empty": "🔔 You have no menu alerts.\nSend 'alert chicken' to hear at {time} on mornings when chicken is served.",
+    "alert.list": "🔔 My menu alerts ({state})\n{list}\n\n• alert pizza: add\n• alert remove chicken: remove (alert remove: all)\n• alerts off / alerts on",
+    "alert.stateOn": "on",
+    "alert.stateOff": "off",
+    "alert.added": "✅ Alert set for '{keywords}'. You'll hear at {time} on the morning it's served.",
+    "alert.stillOff": "🔕 Alerts are currently off. Send 'alerts on' to get them again.",
+    "alert.exists": "That alert is already set. Send 'alerts' to see the list.",
+    "alert.limit": "You can set up to {max} alerts.",
+    "alert.removed": "🗑 Removed the alert for '{keywords}'.",
+    "alert.removedAll": "🗑 All menu alerts removed.",
+    "alert.notFound": "There's no alert for '{keyword}'.",
+    "alert.off": "🔕 Menu alerts are off. Your keywords are kept.",
+    "alert.on": "🔔 Menu alerts are back on. We check every morning at {time}.",
+    "alert.message": "🔔 Menu alert for {date}\n{lines}",
+  },
+};
+
+function t(lang, key, vars = {}) {
+  const msg = MESSAGES[lang]?.[key] ?? MESSAGES.ko[key] ?? key;
+  return msg.replace(/\{(\w+)\}/g, (m, k) => (k in vars ? String(vars[k]) : m));
+}
+
+// English requests are rewritten into the Korean phrasing parseUtter already understands
+// ("lunch tomorrow" -> "점심 내일"). Order matters: longer phrases first.
+const MONTHS_EN = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const ENGLISH_KEYWORDS = [
+  [/^(?:language|lang)\s+(?:english|en)$|^english$/, "설정 언어 영어"],
+  [/^(?:language|lang)\s+(?:korean|ko)$|^korean$/, "설정 언어 한국어"],
+  [/^delete\s+my\s+(?:info|data|profile)$/, "내 정보 삭제"],
+  [/^my\s+(?:info|data|profile|settings)$/, "내 정보"],
+  [/^settings?\b/, "설정"],
+  [/^(?:next\s+meal|now)\b.*$/, "지금"],
+  [/^allerg(?:y|ies|ens?)\s+(?:add|register)\b/, "알레르기 등록"],
+  [/^allerg(?:y|ies|ens?)\s+(?:remove|delete|clear)\b/, "알레르기 삭제"],
+  [/^allerg(?:y|ies|ens?)\b/, "알레르기"],
+  [/^(?:search|find)\s+(.+)$/, "검색 $1"],
+  [/^when\s+(?:is|are|will|do\s+we\s+have)\s+(.+?)(?:\s+(?:served|be\s+served|on\s+the\s+menu))?\s*\??$/, "$1 언제"],
+  [/\b(?:nutrition|calories?|kcal)\b/g, "영양"],
+  [/\b(?:vegetarian|veggie|vegan)\b/g, "채식"],
+  [/\bhalal\b/g, "할랄"],
+  [/\b(?:photo|picture)\s+alert\b|\bnotify\s+me\s+when\s+(?:the\s+)?(?:photo|picture)\s+is\s+(?:up|posted)\b/g, "사진 올라오면 알려줘"],
+  [/\b(?:photo|picture|pic)s?\b/g, "사진"],
+  [/\bday\s+after\s+tomorrow\b/g, "모레"],
+  [/\btomorrow\b/g, "내일"],
+  [/\byesterday\b/g, "어제"],
+  [/\btonight\b/g, "오늘 저녁"],
+  [/\btoday\b/g, "오늘"],
+  [/\bthis\s+week\b|\bweekly\b|\bweek\b/g, "이번주"],
+  [/\bnext\s+이번주/g, "다음주"],
+  [/\blast\s+이번주/g, "지난주"],
+  [/\bmon(?:day)?\b/g, "월요일"],
+  [/\btue(?:s|sday)?\b/g, "화요일"],
+  [/\bwed(?:nesday)?\b/g, "수요일"],
+  [/\bthu(?:rs|rsday)?\b/g, "목요일"],
+  [/\bfri(?:day)?\b/g, "금요일"],
+  [/\bsat(?:urday)?\b/g, "토요일"],
+  [/\bsun(?:day)?\b/g, "일요일"],
+  [/\bbreakfast\b/g, "아침"],
+  [/\blunch\b/g, "점심"],
+  [/\b(?:dinner|supper)\b/g, "저녁"],
+  [/\b(?:all|full)\b/g, "전체"],
+  [/\b(?:menu|meals?|food)\b/g, "메뉴"],
+];
+
+function englishToKorean(utter) {
+  // -> { text, english }; only utterances without Hangul count as English
+  const s = String(utter || "").trim();
+  if (!/[a-z]/i.test(s) || /[가-힣]/.test(s)) return { text: s, english: false };
+
+  let text = s.toLowerCase().replace(/[?!.]+$/, "");
+  const settings = text.match(/^settings?(?:\s+(.*))?$/);
+  if (settings) return { text: `설정 ${settingsArgsFromEnglish(settings[1] || "")}`.trim(), english: true };
+  // Alert keywords stay as typed ("alert fried chicken") and are matched against translated dish names
+  const alert = text.match(/^alerts?(?:\s+(.*))?$/);
+  if (alert) {
+    const args = (alert[1] || "")
+      .replace(/^(?:off|stop)$/, "끄기")
+      .replace(/^on$/, "켜기")
+      .replace(/^(?:remove|delete|clear)\b/, "삭제")
+      .replace(/^add\s+/, "");
+    return { text: `알림 ${args}`.trim(), english: true };
+  }
+  // "Oct 21", "October 21st", "21 Oct" -> "10월 21일"
+  const month = (name) => MONTHS_EN.indexOf(name.slice(0, 3)) + 1;
+  text = text
+    .replace(/\b([a-z]{3,9})\.?\s+(\d{1,2})(?:st|nd|rd|th)?\b/g, (m, name, d) => (month(name) ? `${month(name)}월 ${d}일` : m))
+    .replace(/\b(\d{1,2})(?:st|nd|rd|th)?\s+([a-z]{3,9})\b/g, (m, d, name) => (month(name) ? `${month(name)}월 ${d}일` : m));
+  for (const [re, ko] of ENGLISH_KEYWORDS) text = text.replace(re, ko);
+  return { text: text.replace(/\b(?:for|on|the|at|what'?s|what|is|menu\s+for)\b/g, " ").replace(/\s+/g, " ").trim(), english: true };
+}
 
 // ----------------- Date utils -----------------
 function pad2(n) {
   return String(n).padStart(2, "0");
 }
 
+// All calendar math runs on "KST wall-clock" Dates: the UTC fields hold the Asia/Seoul
+// date/time, so results don't depend on the server's TZ (Render runs in UTC).
+const KST_OFFSET_MS = 9 * 60 * 60 * 1000;
+
+function kstDate(ts = Date.now()) {
+  return new Date(Number(ts) + KST_OFFSET_MS);
+}
+
+function ymdToDate(ymd) {
+  return new Date(Date.UTC(Number(ymd.slice(0, 4)), Number(ymd.slice(4, 6)) - 1, Number(ymd.slice(6, 8))));
+}
+
 function yyyymmdd(d) {
-  return `${d.getFullYear()}${pad2(d.getMonth() + 1)}${pad2(d.getDate())}`;
+  return `${d.getUTCFullYear()}${pad2(d.getUTCMonth() + 1)}${pad2(d.getUTCDate())}`;
 }
 
 function prettyYmd(ymd) {
@@ -149,18 +616,37 @@ function prettyYmd(ymd) {
 
 function addDays(date, days) {
   const d = new Date(date);
-  d.setDate(d.getDate() + days);
+  d.setUTCDate(d.getUTCDate() + days);
   return d;
 }
 
 function startOfWeekMonday(date) {
   const d = new Date(date);
-  const day = d.getDay(); // 0=Sun
+  const day = d.getUTCDay(); // 0=Sun
   const diff = (day === 0 ? -6 : 1) - day;
-  d.setDate(d.getDate() + diff);
+  d.setUTCDate(d.getUTCDate() + diff);
   return d;
 }
 
+function ymdDiffDays(a, b) {
+  return Math.round((ymdToDate(b) - ymdToDate(a)) / 86400000);
+}
+
+function daysInMonth(y, m) {
+  return new Date(Date.UTC(y, m, 0)).getUTCDate();
+}
+
+function formatKstDateTime(ts) {
+  // epoch ms -> "YYYY-MM-DD HH:mm" in Asia/Seoul (no DST, fixed +09:00)
+  const d = kstDate(ts);
+  return `${yyyymmdd(d).replace(/^(\d{4})(\d{2})(\d{2})$/, "$1-$2-$3")} ${pad2(d.getUTCHours())}:${pad2(d.getUTCMinutes())}`;
+}
+
+function kstYmd(ts = Date.now()) {
+  // epoch ms -> YYYYMMDD in Asia/Seoul
+  return yyyymmdd(kstDate(ts));
+}
+
 function ymdToDot(ymd) {
   // YYYYMMDD -> YYYY.MM.DD
   return `${ymd.slice(0, 4)}.${ymd.slice(4, 6)}.${ymd.slice(6, 8)}`;
@@ -168,34 +654,151 @@ function ymdToDot(ymd) {
 
 // ----------------- Network / NitroEye handling -----------------
 let HAFS_COOKIE = "";
+let upstreamRequestCount = 0; // every getHtmlArrayBuffer call (used to cap background jobs)
 
 // -------- Playwright fallback (real browser fetch) --------
-let pwBrowserPromise = null;
+// One managed browser: relaunched when it disconnects/crashes, at most PW_MAX_CONTEXTS pages
+// at a time, and closed after PW_IDLE_SHUTDOWN_SEC without use (Chromium is ~150MB on Render).
+const PW_MAX_CONTEXTS = Math.max(1, Number(process.env.PW_MAX_CONTEXTS || 2));
+const PW_IDLE_SHUTDOWN_MS = Number(process.env.PW_IDLE_SHUTDOWN_SEC || 300) * 1000;
+const PW_CONTEXT_WAIT_MS = Number(process.env.PW_CONTEXT_WAIT_MS || 10000);
+
+const pwState = {
+  promise: null, // Promise<Browser> while launching/open
+  browser: null,
+  launches: 0,
+  launchedAt: null,
+  lastUsedAt: null,
+  lastError: null,
+  activeContexts: 0,
+  idleTimer: null,
+};
+const pwWaiters = []; // resolvers waiting for a context slot
 
 async function getPwBrowser() {
   const chr = await getChromium();
   if (!chr) return null;
 
-  if (!pwBrowserPromise) {
-    pwBrowserPromise = chr.launch({
-      headless: true,
-      args: ["--no-sandbox", "--disable-setuid-sandbox"],
-    });
+  // Health check: a crashed/killed browser reports isConnected() === false
+  if (pwState.browser && !pwState.browser.isConnected()) {
+    console.error("[pw-browser] found disconnected browser, relaunching");
+    pwState.browser = null;
+    pwState.promise = null;
+  }
+
+  if (!pwState.promise) {
+    pwState.promise = chr
+      .launch({
+        headless: true,
+        args: ["--no-sandbox", "--disable-setuid-sandbox"],
+      })
+      .then((browser) => {
+        pwState.browser = browser;
+        pwState.launches += 1;
+        pwState.launchedAt = Date.now();
+        browser.on("disconnected", () => {
+          if (pwState.browser !== browser) return;
+          console.error("[pw-browser] disconnected");
+          pwState.browser = null;
+          pwState.promise = null;
+        });
+        console.log("[pw-browser] launched", { launches: pwState.launches });
+        return browser;
+      })
+      .catch((e) => {
+        // Don't cache a failed launch; the next fallback tries again
+        pwState.promise = null;
+        pwState.lastError = String(e?.message || e).split("\n")[0];
+        throw e;
+      });
   }
-  return pwBrowserPromise;
+  return pwState.promise;
 }
 
-async function fetchHtmlWithPlaywright(targetUrl, timeoutMs = 15000) {
-  const browser = await getPwBrowser();
-  if (!browser) {
-    const err = new Error("PLAYWRIGHT_NOT_INSTALLED");
-    err.code = "PLAYWRIGHT_NOT_INSTALLED";
-    throw err;
+async function closePwBrowser(reason) {
+  const p = pwState.promise;
+  pwState.promise = null;
+  pwState.browser = null;
+  clearTimeout(pwState.idleTimer);
+  pwState.idleTimer = null;
+  if (!p) return;
+  try {
+    const browser = await p;
+    await browser.close();
+    console.log("[pw-browser] closed", { reason });
+  } catch {}
+}
+
+function acquireBrowserSlot() {
+  if (pwState.activeContexts < PW_MAX_CONTEXTS) {
+    pwState.activeContexts += 1;
+    clearTimeout(pwState.idleTimer);
+    pwState.idleTimer = null;
+    return Promise.resolve();
   }
+  return new Promise((resolve, reject) => {
+    const waiter = { resolve, timer: null };
+    waiter.timer = setTimeout(() => {
+      pwWaiters.splice(pwWaiters.indexOf(waiter), 1);
+      const err = new Error("PLAYWRIGHT_BUSY timeout waiting for a browser context");
+      err.code = "PLAYWRIGHT_BUSY";
+      reject(err);
+    }, PW_CONTEXT_WAIT_MS);
+    pwWaiters.push(waiter);
+  });
+}
 
-  const headers = buildBrowserHeaders();
+function releaseBrowserSlot() {
+  pwState.lastUsedAt = Date.now();
+  const next = pwWaiters.shift();
+  if (next) {
+    clearTimeout(next.timer);
+    next.resolve(); // hand the slot over directly
+    return;
+  }
+  pwState.activeContexts -= 1;
+  if (pwState.activeContexts === 0 && PW_IDLE_SHUTDOWN_MS > 0) {
+    pwState.idleTimer = setTimeout(() => closePwBrowser("idle"), PW_IDLE_SHUTDOWN_MS);
+    pwState.idleTimer.unref?.();
+  }
+}
+
+async function withBrowserContext(contextOptions, fn) {
+  await acquireBrowserSlot();
+  try {
+    const browser = await getPwBrowser();
+    if (!browser) {
+      const err = new Error("PLAYWRIGHT_NOT_INSTALLED");
+      err.code = "PLAYWRIGHT_NOT_INSTALLED";
+      throw err;
+    }
+    const context = await browser.newContext(contextOptions);
+    try {
+      return await fn(context);
+    } finally {
+      await context.close().catch(() => {});
+    }
+  } finally {
+    releaseBrowserSlot();
+  }
+}
+
+function browserDiagnostics() {
+  return {
+    open: Boolean(pwState.browser?.isConnected()),
+    launches: pwState.launches,
+    launchedAt: pwState.launchedAt,
+    lastUsedAt: pwState.lastUsedAt,
+    lastError: pwState.lastError,
+    activeContexts: pwState.activeContexts,
+    waiting: pwWaiters.length,
+    maxContexts: PW_MAX_CONTEXTS,
+  };
+}
 
-  const context = await browser.newContext({
+async function fetchHtmlWithPlaywright(targetUrl, timeoutMs = 15000) {
+  const headers = buildBrowserHeaders();
+  const contextOptions = {
     userAgent: headers["User-Agent"],
     locale: "ko-KR",
     extraHTTPHeaders: {
@@ -208,8 +811,11 @@ async function fetchHtmlWithPlaywright(targetUrl, timeoutMs = 15000) {
       ...(HAFS_COOKIE ? { Cookie: HAFS_COOKIE } : {}),
     },
     ignoreHTTPSErrors: false,
-  });
+  };
+  return await withBrowserContext(contextOptions, (context) => scrapeWithContext(context, targetUrl, timeoutMs));
+}
 
+async function scrapeWithContext(context, targetUrl, timeoutMs) {
   const page = await context.newPage();
 
   // Helper: detect firewall by URL or body
@@ -271,7 +877,7 @@ async function fetchHtmlWithPlaywright(targetUrl, timeoutMs = 15000) {
           .map((c) => `${c.name}=${c.value}`)
           .filter(Boolean)
           .join("; ");
-        if (cookieStr) HAFS_COOKIE = cookieStr;
+        if (cookieStr) setHafsCookie(cookieStr);
       } catch {}
 
       return content;
@@ -287,7 +893,6 @@ async function fetchHtmlWithPlaywright(targetUrl, timeoutMs = 15000) {
     throw new Error("HAFS_FETCH_FAILED");
   } finally {
     await page.close().catch(() => {});
-    await context.close().catch(() => {});
   }
 }
 
@@ -314,7 +919,7 @@ function updateCookieFromResponse(resp) {
     .map((c) => String(c).split(";")[0])
     .filter(Boolean)
     .join("; ");
-  if (cookie) HAFS_COOKIE = cookie;
+  if (cookie) setHafsCookie(cookie);
 }
 
 function isFirewall(resp) {
@@ -353,7 +958,139 @@ function toIpUrl(originalUrl) {
   }
 }
 
+// -------- Upstream client: concurrency cap, priority queue, circuit breakers --------
+// Every hafs.hs.kr page fetch takes a slot; user requests jump ahead of background jobs
+// (prefetch runs inside upstreamContext.run({ priority: "background" }, ...)).
+// Each fetch strategy has its own breaker: after UPSTREAM_BREAKER_THRESHOLD consecutive
+// failures it opens for an exponentially growing backoff, then lets one half-open probe through.
+const UPSTREAM_CONCURRENCY = Math.max(1, Number(process.env.UPSTREAM_CONCURRENCY || 2));
+const UPSTREAM_QUEUE_TIMEOUT_MS = Number(process.env.UPSTREAM_QUEUE_TIMEOUT_MS || 15000);
+const UPSTREAM_BREAKER_THRESHOLD = Math.max(1, Number(process.env.UPSTREAM_BREAKER_THRESHOLD || 3));
+const UPSTREAM_BACKOFF_BASE_MS = Number(process.env.UPSTREAM_BACKOFF_BASE_SEC || 30) * 1000;
+const UPSTREAM_BACKOFF_MAX_MS = Number(process.env.UPSTREAM_BACKOFF_MAX_SEC || 600) * 1000;
+const UPSTREAM_PRIORITY = { user: 0, background: 1 };
+
+const upstreamContext = new AsyncLocalStorage();
+const upstreamQueue = []; // { priority, seq, start, timer }
+let upstreamActive = 0;
+let upstreamSeq = 0;
+
+function upstreamPriority() {
+  return upstreamContext.getStore()?.priority === "background" ? "background" : "user";
+}
+
+function pumpUpstreamQueue() {
+  while (upstreamActive < UPSTREAM_CONCURRENCY && upstreamQueue.length > 0) {
+    upstreamQueue.sort((a, b) => a.priority - b.priority || a.seq - b.seq);
+    const next = upstreamQueue.shift();
+    clearTimeout(next.timer);
+    upstreamActive += 1;
+    next.start();
+  }
+}
+
+async function withUpstreamSlot(fn) {
+  const priority = UPSTREAM_PRIORITY[upstreamPriority()];
+  await new Promise((resolve, reject) => {
+    const entry = { priority, seq: upstreamSeq++, start: resolve, timer: null };
+    entry.timer = setTimeout(() => {
+      const i = upstreamQueue.indexOf(entry);
+      if (i >= 0) upstreamQueue.splice(i, 1);
+      const err = new Error("UPSTREAM_BUSY queue timeout");
+      err.code = "UPSTREAM_BUSY";
+      reject(err);
+    }, UPSTREAM_QUEUE_TIMEOUT_MS);
+    entry.timer.unref?.();
+    upstreamQueue.push(entry);
+    pumpUpstreamQueue();
+  });
+  try {
+    return await fn();
+  } finally {
+    upstreamActive -= 1;
+    pumpUpstreamQueue();
+  }
+}
+
+const upstreamBreakers = new Map(); // strategy name -> breaker state
+
+function getBreaker(name) {
+  if (!upstreamBreakers.has(name)) {
+    upstreamBreakers.set(name, {
+      name,
+      state: "closed", // closed | open | half-open
+      failures: 0,
+      trips: 0,
+      openUntil: 0,
+      probing: false,
+      lastError: null,
+      lastFailureAt: null,
+      lastSuccessAt: null,
+    });
+  }
+  return upstreamBreakers.get(name);
+}
+
+function breakerAllows(b, now = Date.now()) {
+  if (b.state === "closed") return true;
+  if (b.state === "open" && now >= b.openUntil) {
+    b.state = "half-open";
+    b.probing = false;
+  }
+  if (b.state === "half-open" && !b.probing) {
+    b.probing = true; // exactly one probe; everyone else keeps skipping this strategy
+    return true;
+  }
+  return false;
+}
+
+function breakerSuccess(b) {
+  if (b.state !== "closed") console.log("[breaker-closed]", { name: b.name });
+  Object.assign(b, { state: "closed", failures: 0, trips: 0, openUntil: 0, probing: false, lastSuccessAt: Date.now() });
+}
+
+function breakerFailure(b, err) {
+  b.failures += 1;
+  b.probing = false;
+  b.lastError = String(err?.code || err?.message || err).split("\n")[0].slice(0, 200);
+  b.lastFailureAt = Date.now();
+  if (b.state === "half-open" || b.failures >= UPSTREAM_BREAKER_THRESHOLD) {
+    b.trips += 1;
+    const backoffMs = Math.min(UPSTREAM_BACKOFF_MAX_MS, UPSTREAM_BACKOFF_BASE_MS * 2 ** (b.trips - 1));
+    b.state = "open";
+    b.openUntil = Date.now() + backoffMs;
+    console.error("[breaker-open]", { name: b.name, failures: b.failures, backoffMs, lastError: b.lastError });
+  }
+}
+
+function upstreamDiagnostics() {
+  return {
+    concurrency: UPSTREAM_CONCURRENCY,
+    active: upstreamActive,
+    queued: {
+      user: upstreamQueue.filter((e) => e.priority === UPSTREAM_PRIORITY.user).length,
+      background: upstreamQueue.filter((e) => e.priority === UPSTREAM_PRIORITY.background).length,
+    },
+    requests: upstreamRequestCount,
+    breakers: [...upstreamBreakers.values()].map((b) => ({
+      name: b.name,
+      state: b.state === "open" && Date.now() >= b.openUntil ? "half-open" : b.state,
+      failures: b.failures,
+      trips: b.trips,
+      openUntil: b.openUntil || null,
+      lastError: b.lastError,
+      lastFailureAt: b.lastFailureAt,
+      lastSuccessAt: b.lastSuccessAt,
+    })),
+  };
+}
+
 async function getHtmlArrayBuffer(url, timeoutMs = 7000) {
+  upstreamRequestCount += 1;
+  return await withUpstreamSlot(() => fetchHtmlViaStrategies(url, timeoutMs));
+}
+
+async function fetchHtmlViaStrategies(url, timeoutMs) {
   // Fast path: try plain HTTP/HTTPS with axios first (much faster than Playwright).
   // Fallback to Playwright ONLY when NitroEye blocks (302 to nitroeye / firewall body).
 
@@ -434,30 +1171,44 @@ async function getHtmlArrayBuffer(url, timeoutMs = 7000) {
     return resp;
   };
 
-  let lastErr = null;
-  for (const u of candidates) {
-    try {
-      return await tryAxios(u);
-    } catch (e) {
-      lastErr = e;
-      // If it wasn't a firewall error, continue to next scheme.
-      continue;
-    }
-  }
-
   // Slow fallback: real browser fetch.
   // Keep this timeout tight so Kakao doesn't hang too long.
-  try {
+  const tryPlaywright = async () => {
     const html = await fetchHtmlWithPlaywright(url, 9000);
     return {
       status: 200,
       headers: { "content-type": "text/html" },
       data: iconv.encode(html, "euc-kr"),
     };
-  } catch (e) {
-    // Prefer original firewall code if present
-    throw lastErr || e;
+  };
+
+  const strategies = [
+    ...candidates.map((u) => ({ name: `axios-${u.startsWith("https") ? "https" : "http"}`, run: () => tryAxios(u) })),
+    { name: "playwright", run: tryPlaywright },
+  ];
+
+  let lastErr = null;
+  for (const s of strategies) {
+    const breaker = getBreaker(s.name);
+    if (!breakerAllows(breaker)) continue;
+    try {
+      const resp = await s.run();
+      breakerSuccess(breaker);
+      return resp;
+    } catch (e) {
+      // A missing/busy browser is a local problem, not an upstream one
+      if (e?.code === "PLAYWRIGHT_NOT_INSTALLED" || e?.code === "PLAYWRIGHT_BUSY") breaker.probing = false;
+      else breakerFailure(breaker, e);
+      // Prefer the axios error (firewall code) over the browser's
+      if (s.name === "playwright") throw lastErr || e;
+      lastErr = e;
+    }
   }
+
+  if (lastErr) throw lastErr;
+  const err = new Error("UPSTREAM_CIRCUIT_OPEN all fetch strategies are backing off");
+  err.code = "UPSTREAM_CIRCUIT_OPEN";
+  throw err;
 }
 
 function decodeHafsHtml(arrayBuffer) {
@@ -646,7 +1397,43 @@ function parseMealsFromJoinedText(joinedText) {
   const dinner = cleanHafsText(dinnerRaw) || null;
   const late = cleanHafsText(lateRaw) || null;
 
-  return { breakfast, lunch, dinner, late };
+  // Nutrition lines are dropped by cleanHafsText, so read them from the raw buckets
+  const nutrition = {
+    breakfast: parseNutrition(buckets.breakfast.join("\n")),
+    lunch: parseNutrition(buckets.lunch.join("\n")),
+    dinner: parseNutrition(dinnerRaw),
+    late: parseNutrition(lateRaw),
+  };
+
+  return { breakfast, lunch, dinner, late, nutrition };
+}
+
+// Nutrition block, e.g. "에너지 812.3kcal / 탄수화물 110.2g / 단백질 30.1g / 지방 20.5g / 칼슘 200.3mg"
+// or NEIS "탄수화물(g) : 110.2". Returns { kcal, carbs, protein, fat, calcium } or null.
+const NUTRITION_FIELDS = { 에너지: "kcal", 열량: "kcal", 탄수화물: "carbs", 단백질: "protein", 지방: "fat", 칼슘: "calcium" };
+
+function parseNutrition(text) {
+  const src = String(text || "");
+  const out = {};
+  const re = /(?<![가-힣])(에너지|열량|탄수화물|단백질|지방|칼슘)\s*(?:\([^)]*\))?\s*[:：]?\s*(\d+(?:\.\d+)?)/g;
+  for (const m of src.matchAll(re)) {
+    const key = NUTRITION_FIELDS[m[1]];
+    if (out[key] === undefined) out[key] = Number(m[2]);
+  }
+  if (out.kcal === undefined) {
+    const k = src.match(/(\d+(?:\.\d+)?)\s*kcal/i);
+    if (k) out.kcal = Number(k[1]);
+  }
+  return Object.keys(out).length ? out : null;
+}
+
+function sumNutrition(list) {
+  const total = {};
+  for (const n of list) {
+    if (!n) continue;
+    for (const [k, v] of Object.entries(n)) total[k] = Math.round(((total[k] || 0) + v) * 10) / 10;
+  }
+  return Object.keys(total).length ? total : null;
 }
 
 function splitDinnerAndLate(dinnerAll) {
@@ -690,10 +1477,10 @@ function parseMonthMeals(html, year, month) {
 
     if (!(joined.includes("조식") || joined.includes("중식") || joined.includes("석식"))) continue;
 
-    const { breakfast, lunch, dinner, late } = parseMealsFromJoinedText(joined);
+    const { breakfast, lunch, dinner, late, nutrition } = parseMealsFromJoinedText(joined);
 
     if (breakfast || lunch || dinner) {
-      map.set(ymd, { breakfast, lunch, dinner, late });
+      map.set(ymd, { breakfast, lunch, dinner, late, nutrition });
     }
   }
 
@@ -707,6 +1494,273 @@ function parseDayMealsFromPageHtml(html) {
   return parseMealsFromJoinedText(joined);
 }
 
+// ----------------- Allergens -----------------
+// Korean school meal allergen codes (식품의약품안전처 알레르기 유발식품 표시 기준).
+// Menu lines carry them as e.g. "돈까스(1.2.5.6.10)" or "쇠고기미역국 (5.6.16)".
+const ALLERGENS = [
+  { code: 1, name: "난류", en: "Eggs", aliases: ["계란", "달걀", "알"] },
+  { code: 2, name: "우유", en: "Milk", aliases: ["유제품"] },
+  { code: 3, name: "메밀", en: "Buckwheat", aliases: [] },
+  { code: 4, name: "땅콩", en: "Peanut", aliases: [] },
+  { code: 5, name: "대두", en: "Soybean", aliases: ["콩"] },
+  { code: 6, name: "밀", en: "Wheat", aliases: ["밀가루"] },
+  { code: 7, name: "고등어", en: "Mackerel", aliases: [] },
+  { code: 8, name: "게", en: "Crab", aliases: [] },
+  { code: 9, name: "새우", en: "Shrimp", aliases: [] },
+  { code: 10, name: "돼지고기", en: "Pork", aliases: ["돼지"] },
+  { code: 11, name: "복숭아", en: "Peach", aliases: [] },
+  { code: 12, name: "토마토", en: "Tomato", aliases: [] },
+  { code: 13, name: "아황산류", en: "Sulfites", aliases: ["아황산"] },
+  { code: 14, name: "호두", en: "Walnut", aliases: [] },
+  { code: 15, name: "닭고기", en: "Chicken", aliases: ["닭"] },
+  { code: 16, name: "쇠고기", en: "Beef", aliases: ["소고기", "소"] },
+  { code: 17, name: "오징어", en: "Squid", aliases: [] },
+  { code: 18, name: "조개류", en: "Shellfish", aliases: ["조개", "굴", "전복", "홍합"] },
+  { code: 19, name: "잣", en: "Pine nut", aliases: [] },
+];
+const ALLERGEN_BY_CODE = new Map(ALLERGENS.map((a) => [a.code, a]));
+
+function allergenName(code, lang = "ko") {
+  const a = ALLERGEN_BY_CODE.get(code);
+  return (lang === "en" ? a?.en : a?.name) || String(code);
+}
+
+function parseDish(line) {
+  // "돈까스(1.2.5.6.10)" -> { name: "돈까스", allergens: [1, 2, 5, 6, 10] }
+  // Also handles NEIS-style trailing codes without parentheses: "돈까스1.2.5.6.10."
+  let name = String(line || "").trim();
+  const allergens = new Set();
+
+  const takeCodes = (codeStr) => {
+    for (const c of String(codeStr).split(/[.,·\s]+/)) {
+      const n = Number(c);
+      if (Number.isInteger(n) && ALLERGEN_BY_CODE.has(n)) allergens.add(n);
+    }
+  };
+
+  name = name.replace(/\s*\(\s*(\d{1,2}(?:\s*[.,·]\s*\d{1,2})*)\s*\.?\s*\)/g, (m, codes) => {
+    takeCodes(codes);
+    return "";
+  });
+  name = name.replace(/([^\d\s.])\s*((?:\d{1,2}\.)+\d{0,2})\s*$/, (m, head, codes) => {
+    takeCodes(codes);
+    return head;
+  });
+
+  name = name.replace(/\s+/g, " ").trim() || String(line || "").trim();
+  const codes = [...allergens].sort((a, b) => a - b);
+  return { name, allergens: codes, tags: dietTags(name, codes) };
+}
+
+function parseDishes(text) {
+  if (!text) return [];
+  return String(text)
+    .split("\n")
+    .map((l) => l.trim())
+    .filter((l) => l.length > 0 && l !== "<야식>")
+    .map(parseDish);
+}
+
+function resolveAllergenCodes(args) {
+  // "1 2 우유, 땅콩" -> [1, 2, 4]
+  const codes = new Set();
+  for (const tok of String(args || "").split(/[\s,./·]+/).filter(Boolean)) {
+    const n = Number(tok);
+    if (Number.isInteger(n) && ALLERGEN_BY_CODE.has(n)) {
+      codes.add(n);
+      continue;
+    }
+    const hit = ALLERGENS.find((a) => a.name === tok || a.aliases.includes(tok) || a.en.toLowerCase() === tok.toLowerCase());
+    if (hit) codes.add(hit.code);
+  }
+  return [...codes].sort((a, b) => a - b);
+}
+
+function formatMenuText(text, opts = {}) {
+  // Clean dish names for Kakao; flag dishes with the user's registered allergens.
+  // opts.format: "normal" (one dish per line), "compact" (one line), "detailed" (keeps allergen codes)
+  const mine = new Set(opts.allergens || []);
+  return parseDishes(text)
+    .map((d) => {
+      let line = opts.lang === "en" ? translateDish(d.name) : d.name;
+      if (opts.format === "detailed" && d.allergens.length) line += ` (${d.allergens.join(".")})`;
+      if (d.tags.length) line += ` ${d.tags.map((tag) => DIET_TAGS[tag].icon).join("")}`;
+      const hits = d.allergens.filter((c) => mine.has(c));
+      return hits.length ? `${line} ⚠️ ${hits.map((c) => allergenName(c, opts.lang)).join("·")}` : line;
+    })
+    .join(opts.format === "compact" ? ", " : "\n");
+}
+
+// ----------------- Dietary tags -----------------
+// Meat/seafood tags for students with religious or vegetarian restrictions, which the allergen
+// codes alone don't cover. Inferred from the dish name plus the allergen codes it carries.
+const DIET_TAGS = {
+  pork: { icon: "🐷", name: "돼지고기", en: "Pork", allergens: [10] },
+  beef: { icon: "🐮", name: "소고기", en: "Beef", allergens: [16] },
+  chicken: { icon: "🐔", name: "닭고기", en: "Chicken", allergens: [15] },
+  meat: { icon: "🍖", name: "고기", en: "Meat", allergens: [] },
+  seafood: { icon: "🐟", name: "해산물", en: "Seafood", allergens: [7, 8, 9, 17, 18] },
+};
+const MEAT_TAGS = ["pork", "beef", "chicken", "meat"];
+
+// Ingredient words decide the tag outright ("돈육장조림" is pork).
+const DIET_INGREDIENTS = {
+  pork: ["돼지", "돈육", "돈까스", "돈가스", "제육", "삼겹", "오겹", "목살", "항정", "등갈비", "베이컨", "햄", "스팸", "소시지", "소세지", "비엔나", "족발", "보쌈", "돼지불고기"],
+  beef: ["소고기", "쇠고기", "우육", "한우", "육우", "차돌", "우삼겹", "소갈비", "양지", "사태"],
+  chicken: ["닭", "치킨", "계육", "삼계", "너겟", "너깃", "닭불고기"],
+  meat: ["고기", "오리", "양고기", "미트"],
+  seafood: [
+    "새우", "오징어", "어묵", "멸치", "참치", "연어", "고등어", "갈치", "조기", "삼치", "꽁치", "동태", "명태", "황태", "북어",
+    "코다리", "대구", "가자미", "임연수", "장어", "꽃게", "게살", "맛살", "홍합", "조개", "바지락", "굴", "전복", "낙지", "주꾸미",
+    "쭈꾸미", "문어", "골뱅이", "미더덕", "해물", "해산물", "생선", "피쉬", "가쓰오", "쥐포", "진미채", "액젓", "젓갈",
+  ],
+};
+// Dishes that usually contain meat; used only when no ingredient word says which meat
+const DIET_DISH_DEFAULTS = {
+  pork: ["탕수육", "동그랑땡", "순대", "감자탕", "부대찌개", "짜장", "자장"],
+  beef: ["불고기", "장조림", "육개장", "갈비탕", "너비아니", "육회"],
+  meat: ["갈비", "만두", "햄버거", "햄버그", "함박", "떡갈비", "완자", "산적", "동파육"],
+};
+
+function dietKeywordList(dict, tier) {
+  return Object.entries(dict).flatMap(([tag, words]) => words.map((word) => ({ word, tag, tier })));
+}
+
+// Longest first, and each match is blanked out so "햄버거" isn't also read as "햄"
+const DIET_KEYWORDS = [...dietKeywordList(DIET_INGREDIENTS, "ingredient"), ...dietKeywordList(DIET_DISH_DEFAULTS, "dish")].sort(
+  (a, b) => b.word.length - a.word.length
+);
+
+function dietTags(name, allergens = []) {
+  // "돈육장조림" -> ["pork"], "쇠고기미역국" -> ["beef"], "배추김치" -> []
+  let rest = String(name || "").replace(/\s+/g, "");
+  const found = new Set();
+  const defaults = new Set();
+  for (const { word, tag, tier } of DIET_KEYWORDS) {
+    if (!rest.includes(word)) continue;
+    (tier === "ingredient" ? found : defaults).add(tag);
+    rest = rest.split(word).join(" ");
+  }
+  for (const [tag, def] of Object.entries(DIET_TAGS)) {
+    if (def.allergens.some((c) => allergens.includes(c))) found.add(tag);
+  }
+  if (!MEAT_TAGS.some((tag) => found.has(tag))) for (const tag of defaults) found.add(tag);
+  // A named meat makes the generic "고기" tag redundant
+  if (found.has("meat") && ["pork", "beef", "chicken"].some((tag) => found.has(tag))) found.delete("meat");
+  return Object.keys(DIET_TAGS).filter((tag) => found.has(tag));
+}
+
+function dietVerdict(tags, diet) {
+  // -> "ok" | "check" | "avoid"
+  if (diet === "halal") {
+    if (tags.includes("pork")) return "avoid";
+    return tags.some((tag) => MEAT_TAGS.includes(tag)) ? "check" : "ok";
+  }
+  return tags.length ? "avoid" : "ok"; // vegetarian: no meat or seafood
+}
+
+// ----------------- Dish translation -----------------
+// Korean -> English dish names from a local dictionary (i18n/dishes.en.json, or DISH_DICTIONARY_FILE).
+// Compound names are split into known words ("쇠고기미역국" -> "Beef Seaweed Soup"); anything
+// the dictionary doesn't cover is romanized.
+const DISH_DICTIONARY_FILE = process.env.DISH_DICTIONARY_FILE
+  ? path.resolve(process.env.DISH_DICTIONARY_FILE)
+  : new URL("./i18n/dishes.en.json", import.meta.url);
+const DISH_METHOD_SUFFIXES = new Set(["구이", "볶음", "조림", "찜", "무침"]); // "닭볶음" -> "Stir-fried Chicken"
+
+let dishDictionary = new Map();
+let dishKeyMaxLen = 1;
+try {
+  dishDictionary = new Map(Object.entries(JSON.parse(fs.readFileSync(DISH_DICTIONARY_FILE, "utf-8"))));
+  dishKeyMaxLen = Math.max(1, ...[...dishDictionary.keys()].map((k) => k.length));
+} catch (e) {
+  console.error("[dish-dictionary-failed]", { file: String(DISH_DICTIONARY_FILE), msg: e?.message });
+}
+const dishTranslationCache = new Map(); // Korean name -> English
+
+// Revised Romanization, syllable by syllable with liaison (final consonant before ㅇ moves over)
+const RR_INITIALS = ["g", "kk", "n", "d", "tt", "r", "m", "b", "pp", "s", "ss", "", "j", "jj", "ch", "k", "t", "p", "h"];
+const RR_VOWELS = ["a", "ae", "ya", "yae", "eo", "e", "yeo", "ye", "o", "wa", "wae", "oe", "yo", "u", "wo", "we", "wi", "yu", "eu", "ui", "i"];
+const RR_FINALS = ["", "k", "k", "k", "n", "n", "n", "t", "l", "k", "m", "l", "l", "l", "p", "l", "m", "p", "p", "t", "t", "ng", "t", "t", "k", "t", "p", "t"];
+const RR_FINALS_LIAISON = ["", "g", "kk", "ks", "n", "nj", "nh", "d", "r", "lg", "lm", "lb", "ls", "lt", "lp", "lh", "m", "b", "bs", "s", "ss", "ng", "j", "ch", "k", "t", "p", "h"];
+
+function romanizeHangul(text) {
+  const chars = [...String(text || "")];
+  let out = "";
+  for (let i = 0; i < chars.length; i++) {
+    const code = chars[i].charCodeAt(0) - 0xac00;
+    if (code < 0 || code > 11171) {
+      out += chars[i];
+      continue;
+    }
+    const ini = Math.floor(code / 588);
+    const vow = Math.floor((code % 588) / 28);
+    const fin = code % 28;
+    const next = chars[i + 1] ? chars[i + 1].charCodeAt(0) - 0xac00 : -1;
+    const nextIni = next >= 0 && next <= 11171 ? Math.floor(next / 588) : -1;
+    out += RR_INITIALS[ini] + RR_VOWELS[vow];
+    if (fin && nextIni === 11 && fin !== 21) out += RR_FINALS_LIAISON[fin];
+    else if (fin === 8 && nextIni === 5) out += "l"; // ㄹ+ㄹ -> "ll"
+    else out += RR_FINALS[fin];
+  }
+  return out;
+}
+
+function capitalizeWords(text) {
+  return text.replace(/(^|[\s-])([a-z])/g, (m, sep, c) => sep + c.toUpperCase());
+}
+
+function translateDish(name) {
+  const ko = String(name || "").trim();
+  if (!ko || !/[가-힣]/.test(ko)) return ko;
+  if (dishTranslationCache.has(ko)) return dishTranslationCache.get(ko);
+
+  // Segment each Hangul run: fewest romanized (unknown) syllables, then fewest words
+  const words = [];
+  for (const part of ko.split(/([가-힣]+)/).filter(Boolean)) {
+    if (!/^[가-힣]+$/.test(part)) {
+      if (part.trim()) words.push(part.trim());
+      continue;
+    }
+    const n = part.length;
+    const best = Array.from({ length: n + 1 }, () => null);
+    best[0] = { cost: 0, count: 0, segs: [] };
+    for (let i = 0; i < n; i++) {
+      if (!best[i]) continue;
+      for (let len = 1; len <= Math.min(dishKeyMaxLen, n - i); len++) {
+        const chunk = part.slice(i, i + len);
+        const known = dishDictionary.get(chunk);
+        if (!known && len > 1) continue;
+        const cand = {
+          cost: best[i].cost + (known ? 0 : 1),
+          count: best[i].count + 1,
+          segs: [...best[i].segs, known ? { en: known, ko: chunk } : { raw: chunk }],
+        };
+        const cur = best[i + len];
+        if (!cur || cand.cost < cur.cost || (cand.cost === cur.cost && cand.count < cur.count)) best[i + len] = cand;
+      }
+    }
+    // One-syllable words next to an unknown part are more likely part of it ("열무" is not "열"+"무"),
+    // then adjacent unknown syllables are romanized as one word
+    const picked = best[n].segs.map((seg, i, all) =>
+      seg.ko?.length === 1 && (all[i - 1]?.raw || all[i + 1]?.raw) ? { raw: seg.ko } : seg
+    );
+    const segs = [];
+    for (const seg of picked) {
+      const last = segs[segs.length - 1];
+      if (seg.raw && last?.raw !== undefined) last.raw += seg.raw;
+      else segs.push({ ...seg });
+    }
+    const last = segs[segs.length - 1];
+    if (segs.length > 1 && last.ko && DISH_METHOD_SUFFIXES.has(last.ko)) segs.unshift(segs.pop());
+    for (const seg of segs) words.push(seg.en || capitalizeWords(romanizeHangul(seg.raw)));
+  }
+
+  const en = words.join(" ").replace(/\s+/g, " ").trim();
+  dishTranslationCache.set(ko, en);
+  return en;
+}
+
 // ----------------- Cache -----------------
 const monthHtmlCache = new Map(); // key: YYYYMM -> { html, ts }
 const MONTH_TTL_MS = 10 * 60 * 1000;
@@ -722,78 +1776,483 @@ const IMAGE_TTL_MS = 60 * 60 * 1000;
 const monthInFlight = new Map(); // key: YYYYMM -> Promise<html>
 const dayInFlight = new Map();   // key: YYYYMMDD -> Promise<html>
 
-async function fetchDayInfo(ymd) {
-  const cached = dayHtmlCache.get(ymd);
-  const now = Date.now();
-  if (cached && now - cached.ts < DAY_TTL_MS) return cached.html;
+// ----------------- Persistent store -----------------
+// Small JSON files under DATA_DIR (default ./data) so parsed menus survive restarts/deploys.
+// Writes are debounced and atomic (tmp file + rename).
+const DATA_DIR = path.resolve(process.env.DATA_DIR || "data");
+const jsonStores = [];
 
-  if (dayInFlight.has(ymd)) return await dayInFlight.get(ymd);
+function createJsonStore(fileName, defaults) {
+  const file = path.join(DATA_DIR, fileName);
+  let data = JSON.parse(JSON.stringify(defaults));
+  try {
+    data = { ...data, ...JSON.parse(fs.readFileSync(file, "utf-8")) };
+  } catch (e) {
+    if (e?.code !== "ENOENT") console.error("[store-load-failed]", { file, msg: e?.message });
+  }
 
-  const p = (async () => {
-    const url = hafsDayUrl(ymd);
-    const resp = await getHtmlArrayBuffer(url, 6000);
-    const html = decodeHafsHtml(resp.data);
-    dayHtmlCache.set(ymd, { html, ts: Date.now() });
-    return html;
-  })();
+  let timer = null;
+  const flush = () => {
+    if (timer) clearTimeout(timer);
+    timer = null;
+    try {
+      fs.mkdirSync(DATA_DIR, { recursive: true });
+      const tmp = `${file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(data));
+      fs.renameSync(tmp, file);
+    } catch (e) {
+      console.error("[store-save-failed]", { file, msg: e?.message });
+    }
+  };
 
-  dayInFlight.set(ymd, p);
-  try {
-    return await p;
-  } finally {
-    dayInFlight.delete(ymd);
+  const store = {
+    get data() {
+      return data;
+    },
+    save() {
+      if (timer) return;
+      timer = setTimeout(flush, 1000);
+      timer.unref?.();
+    },
+    flush,
+  };
+  jsonStores.push(store);
+  return store;
+}
+
+// NitroEye clearance cookie survives restarts, so a redeploy doesn't need a fresh browser solve.
+const HAFS_COOKIE_MAX_AGE_MS = Number(process.env.HAFS_COOKIE_MAX_AGE_HOURS || 12) * 60 * 60 * 1000;
+const cookieStore = createJsonStore("hafs-cookie.json", { cookie: "", updatedAt: null });
+
+if (cookieStore.data.cookie && Date.now() - Number(cookieStore.data.updatedAt || 0) < HAFS_COOKIE_MAX_AGE_MS) {
+  HAFS_COOKIE = cookieStore.data.cookie;
+}
+
+function setHafsCookie(cookie) {
+  if (!cookie || cookie === HAFS_COOKIE) return;
+  HAFS_COOKIE = cookie;
+  cookieStore.data.cookie = cookie;
+  cookieStore.data.updatedAt = Date.now();
+  cookieStore.save();
+}
+
+// ----------------- Menu archive -----------------
+// Last known-good copy of every parsed day + photo URL. Used when HAFS is blocked or times out.
+// Days (and their photos) older than MENU_ARCHIVE_KEEP_DAYS are dropped: the whole file is
+// rewritten on every save.
+const MENU_ARCHIVE_KEEP_DAYS = Number(process.env.MENU_ARCHIVE_KEEP_DAYS || 400);
+const menuArchive = createJsonStore("menu-archive.json", { days: {}, photos: {} });
+
+function pruneMenuArchive() {
+  const cutoff = kstYmd(Date.now() - MENU_ARCHIVE_KEEP_DAYS * 86400000);
+  for (const ymd of Object.keys(menuArchive.data.days)) {
+    if (ymd < cutoff) delete menuArchive.data.days[ymd];
+  }
+  for (const key of Object.keys(menuArchive.data.photos)) {
+    if (key.slice(0, 8) < cutoff) delete menuArchive.data.photos[key];
   }
 }
 
-async function fetchDayMeals(ymd) {
-  const html = await fetchDayInfo(ymd);
-  const info = parseDayMealsFromPageHtml(html);
-  // If everything is empty, treat as "no menu".
-  if (!info.breakfast && !info.lunch && !info.dinner) return null;
-  return info;
+function archiveDayMeals(ymd, info) {
+  if (!info || info.stale) return;
+  const { breakfast = null, lunch = null, dinner = null, late = null, nutrition = null, source = null } = info;
+  const isNewDay = !menuArchive.data.days[ymd];
+  menuArchive.data.days[ymd] = { breakfast, lunch, dinner, late, nutrition, source, ts: Date.now() };
+  if (isNewDay) pruneMenuArchive();
+  menuArchive.save();
 }
 
-async function fetchMonthMapForRange(fromYmd, toYmd) {
-  const yFrom = Number(fromYmd.slice(0, 4));
-  const mFrom = Number(fromYmd.slice(4, 6));
-  const yTo = Number(toYmd.slice(0, 4));
-  const mTo = Number(toYmd.slice(4, 6));
+function archivedDayMeals(ymd) {
+  const a = menuArchive.data.days[ymd];
+  if (!a) return null;
+  const { ts, ...info } = a;
+  return { ...info, stale: true, archivedAt: ts, fetchedAt: ts, changes: menuChangesFor(ymd) };
+}
 
-  const keys = [{ y: yFrom, m: mFrom }];
-  if (!(yFrom === yTo && mFrom === mTo)) keys.push({ y: yTo, m: mTo });
+function archivedRange(fromYmd, toYmd) {
+  const out = new Map();
+  for (const ymd of Object.keys(menuArchive.data.days).sort()) {
+    if (ymd >= fromYmd && ymd <= toYmd) out.set(ymd, archivedDayMeals(ymd));
+  }
+  return out;
+}
 
-  const maps = [];
-  for (const { y, m } of keys) {
-    const cacheKey = `${y}${pad2(m)}`;
-    const cached = monthHtmlCache.get(cacheKey);
-    const now = Date.now();
+function archiveMealPhotoUrl(ymd, mealKey, url) {
+  if (!url) return;
+  menuArchive.data.photos[`${ymd}|${mealKey}`] = { url, ts: Date.now() };
+  menuArchive.save();
+}
 
-    let html;
-    if (cached && now - cached.ts < MONTH_TTL_MS) {
-      html = cached.html;
-    } else {
-      const anyDay = `${y}${pad2(m)}01`;
-      const url = hafsMonthUrl(anyDay);
-
-      if (monthInFlight.has(cacheKey)) {
-        html = await monthInFlight.get(cacheKey);
-      } else {
-        const p = (async () => {
-          const resp = await getHtmlArrayBuffer(url, 6000);
-          return decodeHafsHtml(resp.data);
-        })();
-        monthInFlight.set(cacheKey, p);
-        try {
-          html = await p;
-        } finally {
-          monthInFlight.delete(cacheKey);
-        }
-      }
+function archivedMealPhotoUrl(ymd, mealKey) {
+  return menuArchive.data.photos[`${ymd}|${mealKey}`]?.url || null;
+}
 
-      monthHtmlCache.set(cacheKey, { html, ts: Date.now() });
-    }
+// ----------------- Menu versions -----------------
+// Every refresh is diffed against the day's last stored version from the same provider (dish
+// names only, so allergen-number or spacing edits don't count): HAFS and NEIS spell the same
+// dishes differently. A changed meal gets a new version with { meal, removed, added }; replies
+// show "🔄 변경됨: 제육볶음 → 닭갈비" and digest targets with "changes": true are notified.
+// A provider switch alone (same dishes, or same as that provider's last version) stores nothing,
+// so alternating HAFS/NEIS refreshes don't push real edits out of MENU_VERSIONS_PER_DAY.
+const MENU_VERSIONS_PER_DAY = Number(process.env.MENU_VERSIONS_PER_DAY || 10);
+const MENU_VERSION_KEEP_DAYS = Number(process.env.MENU_VERSION_KEEP_DAYS || 90);
+
+// ymd -> [{ version, ts, source, meals: { breakfast: [names], ... }, changes: [{ meal, removed, added }] }]
+const menuVersions = createJsonStore("menu-versions.json", { days: {} });
+
+function menuDishNames(text) {
+  return parseDishes(text).map((d) => d.name);
+}
 
-    maps.push(parseMonthMeals(html, y, m));
+function diffMenuMeals(prevMeals, nextMeals) {
+  const changes = [];
+  for (const meal of MEAL_KEYS) {
+    const prev = prevMeals[meal];
+    const next = nextMeals[meal];
+    // A meal showing up (dinner published later) or vanishing (upstream hiccup) isn't an edit
+    if (!prev || !next || prev.join("\n") === next.join("\n")) continue;
+    const removed = prev.filter((n) => !next.includes(n));
+    const added = next.filter((n) => !prev.includes(n));
+    if (removed.length || added.length) changes.push({ meal, removed, added });
+  }
+  return changes;
+}
+
+function sameMenuMeals(a, b) {
+  return MEAL_KEYS.every((k) => (a[k] || []).join("\n") === (b[k] || []).join("\n"));
+}
+
+function pruneMenuVersions() {
+  const cutoff = kstYmd(Date.now() - MENU_VERSION_KEEP_DAYS * 86400000);
+  for (const ymd of Object.keys(menuVersions.data.days)) {
+    if (ymd < cutoff) delete menuVersions.data.days[ymd];
+  }
+}
+
+function recordMenuVersion(ymd, info) {
+  // -> latest change per meal for the day (see menuChangesFor)
+  if (!info || info.stale) return menuChangesFor(ymd);
+  const meals = {};
+  for (const meal of MEAL_KEYS) meals[meal] = info[meal] ? menuDishNames(info[meal]) : null;
+
+  const source = info.source || null;
+  const versions = menuVersions.data.days[ymd] || [];
+  const last = versions[versions.length - 1];
+  const lastSameSource = versions.findLast((v) => v.source === source);
+  const changes = lastSameSource ? diffMenuMeals(lastSameSource.meals, meals) : [];
+  const unchanged =
+    lastSameSource && changes.length === 0 && MEAL_KEYS.every((k) => Boolean(lastSameSource.meals[k]) || !meals[k]);
+  if (unchanged || (last && sameMenuMeals(last.meals, meals))) return menuChangesFor(ymd);
+
+  const entry = { version: (last?.version || 0) + 1, ts: Date.now(), source, meals, changes };
+  versions.push(entry);
+  if (versions.length > MENU_VERSIONS_PER_DAY) versions.splice(0, versions.length - MENU_VERSIONS_PER_DAY);
+  menuVersions.data.days[ymd] = versions;
+  if (!last) pruneMenuVersions();
+  menuVersions.save();
+
+  if (changes.length > 0) {
+    console.log("[menu-changed]", { ymd, version: entry.version, changes });
+    notifyMenuChange(ymd, entry);
+  }
+  return menuChangesFor(ymd);
+}
+
+function menuChangeHistory(fromYmd, toYmd) {
+  // -> [{ date, version, ts, source, meal, removed, added }] oldest first
+  const out = [];
+  for (const ymd of Object.keys(menuVersions.data.days).sort()) {
+    if (ymd < fromYmd || ymd > toYmd) continue;
+    for (const v of menuVersions.data.days[ymd]) {
+      for (const c of v.changes) out.push({ date: ymd, version: v.version, ts: v.ts, source: v.source, ...c });
+    }
+  }
+  return out;
+}
+
+function menuChangesFor(ymd) {
+  // { [meal]: { removed, added, ts } } from the most recent edit of each meal, or null
+  const out = {};
+  for (const c of menuChangeHistory(ymd, ymd)) out[c.meal] = { removed: c.removed, added: c.added, ts: c.ts };
+  return Object.keys(out).length ? out : null;
+}
+
+function menuChangeText(change, lang = "ko") {
+  // "제육볶음 → 닭갈비", "+ 요구르트", "− 김치"
+  const names = (list) => list.map((n) => (lang === "en" ? translateDish(n) : n)).join(", ");
+  if (change.removed.length && change.added.length) return `${names(change.removed)} → ${names(change.added)}`;
+  return change.added.length ? `+ ${names(change.added)}` : `− ${names(change.removed)}`;
+}
+
+// ----------------- Menu search -----------------
+// Hangul-aware matching for "돈까스 언제 나와?": substring, 초성 ("ㄷㄲㅅ") and jamo-level fuzzy
+// matching ("돈가스" ~ "돈까스"). Allergen numbers and punctuation are ignored.
+const CHOSEONG = "ㄱㄲㄴㄷㄸㄹㅁㅂㅃㅅㅆㅇㅈㅉㅊㅋㅌㅍㅎ";
+const JUNGSEONG = "ㅏㅐㅑㅒㅓㅔㅕㅖㅗㅘㅙㅚㅛㅜㅝㅞㅟㅠㅡㅢㅣ";
+const JONGSEONG = ["", "ㄱ", "ㄲ", "ㄳ", "ㄴ", "ㄵ", "ㄶ", "ㄷ", "ㄹ", "ㄺ", "ㄻ", "ㄼ", "ㄽ", "ㄾ", "ㄿ", "ㅀ", "ㅁ", "ㅂ", "ㅄ", "ㅅ", "ㅆ", "ㅇ", "ㅈ", "ㅊ", "ㅋ", "ㅌ", "ㅍ", "ㅎ"];
+
+function normalizeForSearch(text) {
+  return parseDish(text).name.toLowerCase().replace(/[^\p{Script=Hangul}a-z0-9]/gu, "");
+}
+
+function toJamo(text) {
+  let out = "";
+  for (const ch of String(text || "")) {
+    const code = ch.charCodeAt(0) - 0xac00;
+    if (code < 0 || code > 11171) {
+      out += ch;
+      continue;
+    }
+    out += CHOSEONG[Math.floor(code / 588)] + JUNGSEONG[Math.floor((code % 588) / 28)] + JONGSEONG[code % 28];
+  }
+  return out;
+}
+
+function toChoseong(text) {
+  let out = "";
+  for (const ch of String(text || "")) {
+    const code = ch.charCodeAt(0) - 0xac00;
+    out += code >= 0 && code <= 11171 ? CHOSEONG[Math.floor(code / 588)] : ch;
+  }
+  return out;
+}
+
+function bestSubstringDistance(needle, hay) {
+  // Edit distance of `needle` against the best-matching substring of `hay` (Sellers)
+  let prev = new Array(hay.length + 1).fill(0);
+  for (let i = 1; i <= needle.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= hay.length; j++) {
+      const cost = needle[i - 1] === hay[j - 1] ? 0 : 1;
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+    }
+    prev = cur;
+  }
+  return Math.min(...prev);
+}
+
+function matchDish(query, dishLine) {
+  // -> score in (0, 1], or 0 when it doesn't match
+  const q = normalizeForSearch(query);
+  const d = normalizeForSearch(dishLine);
+  if (!q || !d) return 0;
+  if (d.includes(q)) return 1;
+  if (/^[ㄱ-ㅎ]+$/.test(q)) return toChoseong(d).includes(q) ? 0.9 : 0;
+
+  // Fuzzy only for longer queries: 2-syllable words are too easy to match by accident
+  const qj = toJamo(q);
+  if (qj.length < 6) return 0;
+  const dist = bestSubstringDistance(qj, toJamo(d));
+  const allowed = Math.max(1, Math.floor(qj.length * 0.15));
+  return dist <= allowed ? 0.8 - dist / (qj.length * 2) : 0;
+}
+
+function dishScore(query, dishLine) {
+  // English queries match the translated dish names ("pizza", "fried rice")
+  if (/[가-힣ㄱ-ㅎ]/.test(query)) return matchDish(query, dishLine);
+  const q = String(query).toLowerCase().trim();
+  return q && translateDish(parseDish(dishLine).name).toLowerCase().includes(q) ? 1 : 0;
+}
+
+function searchMenus(query, dayMap, today) {
+  const hits = [];
+  for (const [ymd, info] of dayMap.entries()) {
+    for (const meal of MEAL_KEYS) {
+      for (const line of String(info?.[meal] || "").split("\n")) {
+        const score = dishScore(query, line);
+        if (score > 0) hits.push({ ymd, meal, dish: parseDish(line).name, score, diff: ymdDiffDays(today, ymd) });
+      }
+    }
+  }
+  // Nearest first; on ties, upcoming before past, then better matches
+  return hits.sort((a, b) => Math.abs(a.diff) - Math.abs(b.diff) || b.diff - a.diff || b.score - a.score);
+}
+
+async function searchReply(query, lang = "ko") {
+  const today = kstYmd();
+  const y = Number(today.slice(0, 4));
+  const m = Number(today.slice(4, 6));
+  const next = m === 12 ? { y: y + 1, m: 1 } : { y, m: m + 1 };
+  const from = `${y}${pad2(m)}01`;
+  const to = `${next.y}${pad2(next.m)}${pad2(daysInMonth(next.y, next.m))}`;
+
+  // History from the archive, then the current+next month on top (fresh data wins)
+  const dayMap = new Map(Object.keys(menuArchive.data.days).map((d) => [d, archivedDayMeals(d)]));
+  try {
+    for (const [d, info] of (await fetchMonthMapForRange(from, to)).entries()) dayMap.set(d, info);
+  } catch (e) {
+    console.error("[search-fetch-failed]", { code: e?.code, msg: e?.message });
+  }
+
+  const hits = searchMenus(query, dayMap, today);
+  if (hits.length === 0) return textReply(t(lang, "search.none", { query }), null);
+
+  const when = (diff) => (diff === 0 ? t(lang, "search.today") : diff > 0 ? `D-${diff}` : diff === -1 ? t(lang, "search.yesterday") : t(lang, "search.ago", { days: -diff }));
+  const dish = (name) => (lang === "en" ? translateDish(name) : name);
+  const lines = hits
+    .slice(0, 10)
+    .map((h) => `• ${prettyYmd(h.ymd)} ${mealLabel(h.meal, lang)} · ${dish(h.dish)} (${when(h.diff)})`);
+  const more = hits.length > 10 ? `\n${t(lang, "search.more", { count: hits.length - 10 })}` : "";
+  return textReply(`${t(lang, "search.title", { query })}\n${lines.join("\n")}${more}`, null);
+}
+
+// ----------------- User profiles -----------------
+// Keyed by Kakao botUserKey (userRequest.user.id).
+const userStore = createJsonStore("users.json", { users: {} });
+
+function getUserProfile(userId) {
+  if (!userId) return {};
+  return userStore.data.users[userId] || {};
+}
+
+function updateUserProfile(userId, patch) {
+  if (!userId) return {};
+  const next = { ...getUserProfile(userId), ...patch, updatedAt: Date.now() };
+  userStore.data.users[userId] = next;
+  userStore.save();
+  return next;
+}
+
+function deleteUserProfile(userId) {
+  if (!userId) return false;
+  unsubscribePhotoWatch(userId); // "사진 올라오면 알려줘" works without a saved profile
+  if (!userStore.data.users[userId]) return false;
+  delete userStore.data.users[userId];
+  userStore.save();
+  // Alert delivery history is keyed by the same user id
+  if (alertStore.data.sent[userId]) {
+    delete alertStore.data.sent[userId];
+    alertStore.save();
+  }
+  return true;
+}
+
+function profileFormat(profile) {
+  // Rendering options derived from the stored profile
+  return {
+    allergens: profile.allergens || [],
+    format: profile.format || "normal",
+    hideLate: Boolean(profile.hideLate),
+    lang: profile.lang || "ko",
+  };
+}
+
+// "설정 <항목> <값>" options; labels are what users type / tap ("settings <en> <enValues>" in English)
+const SETTING_OPTIONS = {
+  기본식사: {
+    key: "defaultMeal",
+    en: "default meal",
+    values: { 전체: "all", 아침: "breakfast", 점심: "lunch", 저녁: "dinner" },
+    enValues: { 전체: "all", 아침: "breakfast", 점심: "lunch", 저녁: "dinner" },
+  },
+  형식: {
+    key: "format",
+    en: "format",
+    values: { 기본: "normal", 간단: "compact", 자세히: "detailed" },
+    enValues: { 기본: "normal", 간단: "compact", 자세히: "detailed" },
+  },
+  야식: { key: "hideLate", en: "late snack", values: { 표시: false, 숨김: true }, enValues: { 표시: "show", 숨김: "hide" } },
+  언어: { key: "lang", en: "language", values: { 한국어: "ko", 영어: "en" }, enValues: { 한국어: "korean", 영어: "english" } },
+};
+
+function settingLabel(name, profile, lang = "ko") {
+  const opt = SETTING_OPTIONS[name];
+  const defaults = { defaultMeal: "all", format: "normal", hideLate: false, lang: "ko" };
+  const value = profile[opt.key] ?? defaults[opt.key];
+  const label = Object.keys(opt.values).find((l) => opt.values[l] === value);
+  if (!label) return String(value);
+  return lang === "en" ? opt.enValues[label] : label;
+}
+
+function settingName(name, lang = "ko") {
+  return lang === "en" ? capitalizeWords(SETTING_OPTIONS[name].en) : name;
+}
+
+function settingsArgsFromEnglish(rest) {
+  // "format compact" -> "형식 간단", "allergies" -> "알레르기"
+  const r = String(rest || "").trim();
+  if (/^allerg/.test(r)) return "알레르기";
+  for (const [name, opt] of Object.entries(SETTING_OPTIONS)) {
+    if (!r.startsWith(opt.en)) continue;
+    const v = r.slice(opt.en.length).trim();
+    const label = Object.keys(opt.enValues).find((l) => opt.enValues[l] === v);
+    return label ? `${name} ${label}` : name;
+  }
+  return r;
+}
+
+function isUpstreamOutage(err) {
+  // Firewall blocks, timeouts and network failures: worth answering from the archive.
+  const code = String(err?.code || "");
+  const msg = String(err?.message || "");
+  if (code === "HAFS_FIREWALL" || msg.includes("HAFS_FIREWALL")) return true;
+  if (code === "UPSTREAM_CIRCUIT_OPEN" || code === "UPSTREAM_BUSY") return true;
+  if (["ECONNABORTED", "ETIMEDOUT", "ECONNRESET", "ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN"].includes(code)) return true;
+  return /timeout/i.test(msg);
+}
+
+async function fetchDayInfo(ymd, maxAgeMs = DAY_TTL_MS) {
+  const cached = dayHtmlCache.get(ymd);
+  const now = Date.now();
+  if (cached && now - cached.ts < maxAgeMs) return cached.html;
+
+  if (dayInFlight.has(ymd)) return await dayInFlight.get(ymd);
+
+  const p = (async () => {
+    const url = hafsDayUrl(ymd);
+    const resp = await getHtmlArrayBuffer(url, 6000);
+    const html = decodeHafsHtml(resp.data);
+    dayHtmlCache.set(ymd, { html, ts: Date.now() });
+    return html;
+  })();
+
+  dayInFlight.set(ymd, p);
+  try {
+    return await p;
+  } finally {
+    dayInFlight.delete(ymd);
+  }
+}
+
+async function fetchHafsDayMeals(ymd) {
+  const html = await fetchDayInfo(ymd);
+  const info = parseDayMealsFromPageHtml(html);
+  // If everything is empty, treat as "no menu".
+  if (!info.breakfast && !info.lunch && !info.dinner) return null;
+  return { ...info, fetchedAt: dayHtmlCache.get(ymd)?.ts ?? Date.now() };
+}
+
+async function fetchMonthHtml(y, m) {
+  const cacheKey = `${y}${pad2(m)}`;
+  const cached = monthHtmlCache.get(cacheKey);
+  if (cached && Date.now() - cached.ts < MONTH_TTL_MS) return cached.html;
+
+  if (monthInFlight.has(cacheKey)) return await monthInFlight.get(cacheKey);
+
+  const p = (async () => {
+    const url = hafsMonthUrl(`${y}${pad2(m)}01`);
+    const resp = await getHtmlArrayBuffer(url, 6000);
+    const html = decodeHafsHtml(resp.data);
+    monthHtmlCache.set(cacheKey, { html, ts: Date.now() });
+    return html;
+  })();
+
+  monthInFlight.set(cacheKey, p);
+  try {
+    return await p;
+  } finally {
+    monthInFlight.delete(cacheKey);
+  }
+}
+
+async function fetchHafsMonthMapForRange(fromYmd, toYmd, { dayFallbackMax = Infinity } = {}) {
+  const maps = [];
+  for (const { y, m } of monthKeysBetween(fromYmd, toYmd)) {
+    const html = await fetchMonthHtml(y, m);
+    const fetchedAt = monthHtmlCache.get(`${y}${pad2(m)}`)?.ts ?? Date.now();
+    const parsed = parseMonthMeals(html, y, m);
+    for (const info of parsed.values()) info.fetchedAt = fetchedAt;
+    maps.push(parsed);
   }
 
   const merged = new Map();
@@ -812,18 +2271,24 @@ async function fetchMonthMapForRange(fromYmd, toYmd) {
   if (out.size === 0) {
     const days = [];
     // iterate inclusive YYYYMMDD range
-    let cur = new Date(Number(fromYmd.slice(0, 4)), Number(fromYmd.slice(4, 6)) - 1, Number(fromYmd.slice(6, 8)));
-    const end = new Date(Number(toYmd.slice(0, 4)), Number(toYmd.slice(4, 6)) - 1, Number(toYmd.slice(6, 8)));
+    let cur = ymdToDate(fromYmd);
+    const end = ymdToDate(toYmd);
     while (cur <= end) {
       days.push(yyyymmdd(cur));
       cur = addDays(cur, 1);
     }
 
+    // Capped callers (API / calendar feed / week page) get the archive instead of one fetch per day
+    if (days.length > dayFallbackMax) {
+      console.error("[day-fallback-skipped]", { fromYmd, toYmd, days: days.length, dayFallbackMax });
+      return archivedRange(fromYmd, toYmd);
+    }
+
     // fetch in parallel but keep it safe
     const results = await Promise.all(
       days.map(async (d) => {
         try {
-          const info = await fetchDayMeals(d);
+          const info = await fetchHafsDayMeals(d);
           return [d, info];
         } catch (e) {
           console.error("[day-fallback-failed]", d, e?.code || "", e?.message || e);
@@ -842,411 +2307,2754 @@ async function fetchMonthMapForRange(fromYmd, toYmd) {
   return out;
 }
 
-// ----------------- Request parsing -----------------
-function sanitizeUtterance(raw) {
-  // Kakao / some clients may prefix quoted replies like `quote>` or include zero-width chars.
-  const s0 = String(raw ?? "");
-  // Normalize non-breaking spaces and other common invisible separators
-  // (Kakao sometimes injects NBSP or thin spaces that don't match typical trims)
-  const s1 = s0.replace(/[\u00A0\u202F\u2000-\u200A]/g, " ");
-  return s1
-    // Kakao/clients sometimes send quoted replies like `quote>`
-    .replace(/^\s*quote>\s*/i, "")
-    // normalize fullwidth pipe and Korean vertical bar to normal pipe
-    .replace(/[｜ㅣ∣¦│┃]/g, "|")
-    // remove zero-width chars
-    .replace(/[\u200B-\u200D\uFEFF]/g, "")
-    // normalize newlines/spaces
-    .replace(/\r\n/g, "\n")
-    .replace(/\s+/g, " ")
-    .trim()
-    // normalize spacing around separators for photo command
-    .replace(/\s*\|\s*/g, "|");
+// ----------------- NEIS Open API -----------------
+// mealServiceDietInfo: https://open.neis.go.kr/hub/mealServiceDietInfo
+// The school code is not guessed; the provider stays disabled until both values are set.
+const NEIS_KEY = (process.env.NEIS_KEY || "").trim();
+const NEIS_OFFICE_CODE = (process.env.NEIS_OFFICE_CODE || "J10").trim(); // 경기도교육청
+const NEIS_SCHOOL_CODE = (process.env.NEIS_SCHOOL_CODE || "").trim();
+const NEIS_MEAL_URL = "https://open.neis.go.kr/hub/mealServiceDietInfo";
+
+const neisMonthCache = new Map(); // key: YYYYMM -> { map, ts }
+const NEIS_TTL_MS = 30 * 60 * 1000;
+const neisInFlight = new Map(); // key: YYYYMM -> Promise<Map>
+
+function neisDishText(raw) {
+  // DDISH_NM looks like: "기장밥<br/>쇠고기미역국 (5.6.16)<br/>..."
+  const lines = String(raw || "")
+    .split(/<br\s*\/?>/i)
+    .map((l) => l.replace(/\s+/g, " ").trim())
+    .filter((l) => l.length > 0);
+  return lines.join("\n") || null;
 }
 
-function parseUtter(utterRaw) {
-  let utter = sanitizeUtterance(utterRaw);
-
-  // Robustness: photo commands can arrive with different separators (|, /, fullwidth ｜, Korean ㅣ)
-  // and meal keys can be English (breakfast/lunch/dinner) or Korean (아침/점심/저녁/조식/중식/석식)
-  if (/^사진\s*[\/|｜ㅣ]/.test(utter) || utter.startsWith("사진/")) {
-    // normalize separators
-    utter = utter.replace(/[\/｜ㅣ]/g, "|");
-    // collapse accidental duplicate separators
-    utter = utter.replace(/\|{2,}/g, "|");
-    // normalize spacing around separators
-    utter = utter.replace(/\s*\|\s*/g, "|");
-    // normalize prefix
-    utter = utter.replace(/^\s*사진\s*\|/g, "사진|");
-  }
+async function fetchNeisMonth(y, m) {
+  const cacheKey = `${y}${pad2(m)}`;
+  const cached = neisMonthCache.get(cacheKey);
+  if (cached && Date.now() - cached.ts < NEIS_TTL_MS) return cached.map;
 
-  // Helper to normalize meal key into (breakfast|lunch|dinner)
-  const normalizeMealKey = (mk) => {
-    const s = String(mk || "").trim().toLowerCase();
-    if (s === "breakfast" || s === "lunch" || s === "dinner") return s;
-    if (s === "아침" || s === "조식") return "breakfast";
-    if (s === "점심" || s === "중식") return "lunch";
-    if (s === "저녁" || s === "석식") return "dinner";
-    return null;
-  };
+  if (neisInFlight.has(cacheKey)) return await neisInFlight.get(cacheKey);
 
-  // Photo request: tolerate variations like
-  // - "사진|YYYYMMDD|breakfast"
-  // - "사진 | YYYYMMDD | breakfast"
-  // - "사진|YYYYMMDD|breakfast|" (trailing pipe)
-  // - extra trailing text after the command (rare, but can happen)
-  {
-    // 0) Loose matcher first: accept any separators/extra chars between tokens.
-    // This catches Kakao edge-cases where vertical bars arrive as unusual unicode.
-    const loose = utter.match(
-      /사진[^0-9]*(\d{8})[^0-9a-zA-Z가-힣]*(breakfast|lunch|dinner|아침|점심|저녁|조식|중식|석식)/i
-    );
-    if (loose) {
-      const ymd = String(loose[1] || "").trim();
-      const mealKey = normalizeMealKey(loose[2]);
-      if (/^\d{8}$/.test(ymd) && mealKey) {
-        return { utter: `사진|${ymd}|${mealKey}`, when: "photo", meal: "photo", photoYmd: ymd, photoMeal: mealKey };
-      }
-    }
+  const p = (async () => {
+    const lastDay = daysInMonth(y, m);
+    const resp = await axios.get(NEIS_MEAL_URL, {
+      timeout: 5000,
+      params: {
+        KEY: NEIS_KEY,
+        Type: "json",
+        pIndex: 1,
+        pSize: 100,
+        ATPT_OFCDC_SC_CODE: NEIS_OFFICE_CODE,
+        SD_SCHUL_CODE: NEIS_SCHOOL_CODE,
+        MLSV_FROM_YMD: `${y}${pad2(m)}01`,
+        MLSV_TO_YMD: `${y}${pad2(m)}${pad2(lastDay)}`,
+      },
+    });
 
-    // First try a split-based parser (most robust)
-    const parts = utter.split("|").map((p) => String(p || "").trim()).filter((p) => p.length > 0);
+    const body = resp?.data || {};
+    const map = new Map();
 
-    // Accept: ["사진", "YYYYMMDD", "meal"] (+ ignore extras)
-    if (parts.length >= 3 && parts[0] && parts[0].startsWith("사진")) {
-      const ymd = parts[1];
-      const mealKey = normalizeMealKey(parts[2]);
-      if (/^\d{8}$/.test(ymd) && mealKey) {
-        return { utter: `사진|${ymd}|${mealKey}`, when: "photo", meal: "photo", photoYmd: ymd, photoMeal: mealKey };
-      }
+    // No rows: NEIS answers { RESULT: { CODE: "INFO-200", MESSAGE: "해당하는 데이터가 없습니다." } }
+    if (!Array.isArray(body.mealServiceDietInfo)) {
+      const code = String(body?.RESULT?.CODE || "");
+      if (code === "INFO-200") return map;
+      const err = new Error(`NEIS_ERROR ${code} ${body?.RESULT?.MESSAGE || ""}`.trim());
+      err.code = "NEIS_ERROR";
+      throw err;
     }
 
-    // Fallback: regex (allows trailing pipe/whitespace)
-    const m = utter.match(/^사진\|(\d{8})\|([^|]+)(?:\|.*)?$/i);
-    if (m) {
-      const ymd = String(m[1] || "").trim();
-      const mealKey = normalizeMealKey(m[2]);
-      if (/^\d{8}$/.test(ymd) && mealKey) {
-        return { utter: `사진|${ymd}|${mealKey}`, when: "photo", meal: "photo", photoYmd: ymd, photoMeal: mealKey };
-      }
+    const rows = body.mealServiceDietInfo.find((x) => Array.isArray(x?.row))?.row || [];
+    for (const row of rows) {
+      const ymd = String(row?.MLSV_YMD || "");
+      if (!/^\d{8}$/.test(ymd)) continue;
+      const mealKey = { 1: "breakfast", 2: "lunch", 3: "dinner" }[String(row?.MMEAL_SC_CODE || "")];
+      if (!mealKey) continue;
+      const info = map.get(ymd) || {
+        breakfast: null,
+        lunch: null,
+        dinner: null,
+        late: null,
+        nutrition: { breakfast: null, lunch: null, dinner: null, late: null },
+        fetchedAt: Date.now(),
+      };
+      info[mealKey] = neisDishText(row?.DDISH_NM);
+      // CAL_INFO: "812.3 Kcal", NTR_INFO: "탄수화물(g) : 110.2<br/>단백질(g) : 30.1<br/>..."
+      info.nutrition[mealKey] = parseNutrition(`${row?.CAL_INFO || ""}\n${String(row?.NTR_INFO || "").replace(/<br\s*\/?>/gi, "\n")}`);
+      map.set(ymd, info);
     }
+    return map;
+  })();
+
+  neisInFlight.set(cacheKey, p);
+  try {
+    const map = await p;
+    neisMonthCache.set(cacheKey, { map, ts: Date.now() });
+    return map;
+  } finally {
+    neisInFlight.delete(cacheKey);
   }
+}
 
-  // when
-  let when = "today";
-  if (utter.includes("내일")) when = "tomorrow";
-  else if (utter.includes("이번주") || utter.includes("이번 주") || utter.includes("주간")) when = "week";
-  else if (utter.includes("오늘")) when = "today";
+function monthKeysBetween(fromYmd, toYmd) {
+  const keys = [];
+  let y = Number(fromYmd.slice(0, 4));
+  let m = Number(fromYmd.slice(4, 6));
+  const yTo = Number(toYmd.slice(0, 4));
+  const mTo = Number(toYmd.slice(4, 6));
+  while (y < yTo || (y === yTo && m <= mTo)) {
+    keys.push({ y, m });
+    m += 1;
+    if (m > 12) {
+      m = 1;
+      y += 1;
+    }
+  }
+  return keys;
+}
 
-  // meal
-  let meal = "all";
-  if (utter === "아침" || utter.includes("조식")) meal = "breakfast";
-  else if (utter === "점심" || utter.includes("중식")) meal = "lunch";
-  else if (utter === "저녁" || utter.includes("석식")) meal = "dinner";
-  else if (utter === "오늘" || utter === "내일" || utter.includes("이번주") || utter.includes("이번 주")) meal = "all";
+async function fetchNeisMonthMapForRange(fromYmd, toYmd) {
+  const out = new Map();
+  for (const { y, m } of monthKeysBetween(fromYmd, toYmd)) {
+    const map = await fetchNeisMonth(y, m);
+    for (const [k, v] of map.entries()) {
+      if (k >= fromYmd && k <= toYmd) out.set(k, v);
+    }
+  }
+  return out;
+}
 
-  return { utter, when, meal };
+async function fetchNeisDayMeals(ymd) {
+  const map = await fetchNeisMonth(Number(ymd.slice(0, 4)), Number(ymd.slice(4, 6)));
+  const info = map.get(ymd);
+  if (!info || (!info.breakfast && !info.lunch && !info.dinner)) return null;
+  return info;
 }
-function extractPhotoLinksFromHtml(html) {
-  // Returns mealKey -> absolute image URL (preferably the HAFS popup URL act=lunch.image_pop&img=...)
-  // We MUST avoid mixing meals (e.g., lunch returning breakfast photo).
-  const $ = cheerio.load(String(html || ""));
 
-  const toAbs = (p) => {
-    if (!p) return null;
-    const s = String(p).replace(/&amp;/g, "&").trim();
-    if (!s) return null;
-    if (/^https?:\/\//i.test(s)) return s;
-    const path = s.startsWith("/") ? s : `/${s}`;
-    return `https://${HAFS_HOST}${path}`;
-  };
+// ----------------- School calendar -----------------
+// Explains empty days (공휴일, 방학, 재량휴업일, 시험) and marks them in week views.
+// Sources, merged: fixed-date public holidays, NEIS SchoolSchedule (학사일정, includes 설날/추석
+// and 대체공휴일) and an optional local JSON file for offline use / corrections:
+//   { "events": [{ "from": "20261221", "to": "20270301", "name": "겨울방학", "type": "break" },
+//                { "date": "20261009", "name": "한글날" }] }
+// type is one of holiday|break|closed|exam|event; inferred from the name when omitted.
+const NEIS_SCHEDULE_URL = "https://open.neis.go.kr/hub/SchoolSchedule";
+const SCHOOL_CALENDAR_FILE = path.resolve(process.env.SCHOOL_CALENDAR_FILE || path.join(DATA_DIR, "school-calendar.json"));
+const SCHEDULE_TTL_MS = 6 * 60 * 60 * 1000;
+
+const scheduleMonthCache = new Map(); // key: YYYYMM -> { events, ts }
+const scheduleInFlight = new Map(); // key: YYYYMM -> Promise<Array>
+let localCalendar = { mtimeMs: -1, events: [] };
+
+const FIXED_HOLIDAYS = {
+  "0101": "신정",
+  "0301": "삼일절",
+  "0505": "어린이날",
+  "0606": "현충일",
+  "0815": "광복절",
+  "1003": "개천절",
+  "1009": "한글날",
+  "1225": "성탄절",
+};
+
+const CALENDAR_ICONS = { holiday: "🎌", break: "🏖", closed: "🏫", exam: "📝", event: "📌" };
+
+function classifyScheduleEvent(name, kind = "") {
+  // kind: NEIS SBTR_DD_SC_NM ("공휴일" | "휴업일" | "해당없음")
+  const n = String(name || "");
+  if (/방학/.test(n)) return "break";
+  if (/고사|시험|평가/.test(n)) return "exam";
+  if (kind === "공휴일" || /공휴일|대체/.test(n)) return "holiday";
+  if (kind === "휴업일" || /휴업|휴교/.test(n)) return "closed";
+  return "event";
+}
 
-  const looksLikeFood = (s) => {
-    const v = String(s || "");
-    if (!v) return false;
-    if (v.includes("no_foodimg")) return false;
-    // popup OR direct image path
-    return v.includes("lunch.image_pop") || v.includes("/files/food/") || (v.includes("/hosts/") && v.includes("/food/"));
-  };
+function loadLocalCalendar() {
+  // Re-read only when the file changes; a broken file is logged and ignored.
+  let stat;
+  try {
+    stat = fs.statSync(SCHOOL_CALENDAR_FILE);
+  } catch {
+    localCalendar = { mtimeMs: -1, events: [] };
+    return localCalendar.events;
+  }
+  if (stat.mtimeMs === localCalendar.mtimeMs) return localCalendar.events;
 
-  const extractPopupOrPath = (raw) => {
-    if (!raw) return null;
-    const norm = String(raw).replace(/&amp;/g, "&").trim();
-    if (!norm) return null;
+  const events = [];
+  try {
+    const raw = JSON.parse(fs.readFileSync(SCHOOL_CALENDAR_FILE, "utf8"));
+    for (const e of Array.isArray(raw) ? raw : raw?.events || []) {
+      const from = String(e?.from || e?.date || "");
+      const to = String(e?.to || from);
+      if (!isValidYmd(from) || !isValidYmd(to) || !e?.name) continue;
+      events.push({ from, to, name: String(e.name), type: e.type || classifyScheduleEvent(e.name) });
+    }
+  } catch (e) {
+    console.error("[calendar-file-error]", SCHOOL_CALENDAR_FILE, e?.message || e);
+  }
+  localCalendar = { mtimeMs: stat.mtimeMs, events };
+  return events;
+}
 
-    // If it's already a direct food image path/url
-    if (norm.includes("/files/food/") || (norm.includes("/hosts/") && norm.includes("/files/food/"))) return norm;
+async function fetchNeisScheduleMonth(y, m) {
+  const cacheKey = `${y}${pad2(m)}`;
+  const cached = scheduleMonthCache.get(cacheKey);
+  if (cached && Date.now() - cached.ts < SCHEDULE_TTL_MS) return cached.events;
 
-    // If it's a popup URL, keep it (we normalize later in fetchMealPhotoUrl and /img)
-    if (norm.includes("lunch.image_pop")) return norm;
+  if (scheduleInFlight.has(cacheKey)) return await scheduleInFlight.get(cacheKey);
 
-    // If it's an onclick like: window.open('...?act=lunch.image_pop&img=...')
+  const p = (async () => {
+    const resp = await axios.get(NEIS_SCHEDULE_URL, {
+      timeout: 5000,
+      params: {
+        KEY: NEIS_KEY,
+        Type: "json",
+        pIndex: 1,
+        pSize: 100,
+        ATPT_OFCDC_SC_CODE: NEIS_OFFICE_CODE,
+        SD_SCHUL_CODE: NEIS_SCHOOL_CODE,
+        AA_FROM_YMD: `${y}${pad2(m)}01`,
+        AA_TO_YMD: `${y}${pad2(m)}${pad2(daysInMonth(y, m))}`,
+      },
+    });
+
+    const body = resp?.data || {};
+    if (!Array.isArray(body.SchoolSchedule)) {
+      const code = String(body?.RESULT?.CODE || "");
+      if (code === "INFO-200") return [];
+      const err = new Error(`NEIS_ERROR ${code} ${body?.RESULT?.MESSAGE || ""}`.trim());
+      err.code = "NEIS_ERROR";
+      throw err;
+    }
+
+    const rows = body.SchoolSchedule.find((x) => Array.isArray(x?.row))?.row || [];
+    return rows
+      .filter((row) => /^\d{8}$/.test(String(row?.AA_YMD || "")) && row?.EVENT_NM)
+      .map((row) => {
+        const name = String(row.EVENT_NM).trim();
+        const ymd = String(row.AA_YMD);
+        return { from: ymd, to: ymd, name, type: classifyScheduleEvent(name, String(row?.SBTR_DD_SC_NM || "")) };
+      });
+  })();
+
+  scheduleInFlight.set(cacheKey, p);
+  try {
+    const events = await p;
+    scheduleMonthCache.set(cacheKey, { events, ts: Date.now() });
+    return events;
+  } finally {
+    scheduleInFlight.delete(cacheKey);
+  }
+}
+
+async function loadSchoolCalendar(fromYmd, toYmd) {
+  // Best effort: the calendar only decorates replies, so failures never block the menu.
+  loadLocalCalendar();
+  if (!NEIS_SCHOOL_CODE) return;
+  await Promise.all(
+    monthKeysBetween(fromYmd, toYmd).map(({ y, m }) =>
+      fetchNeisScheduleMonth(y, m).catch((e) => {
+        console.error("[calendar-neis-failed]", `${y}${pad2(m)}`, e?.code || "", e?.message || e);
+      })
+    )
+  );
+}
+
+function calendarEventsOn(ymd) {
+  // Sync lookup over what loadSchoolCalendar() already loaded; local file entries win on name clashes.
+  const out = [];
+  const seen = new Set();
+  const add = (e) => {
+    if (seen.has(e.name)) return;
+    seen.add(e.name);
+    out.push({ name: e.name, type: e.type });
+  };
+  for (const e of localCalendar.events) if (ymd >= e.from && ymd <= e.to) add(e);
+  for (const e of scheduleMonthCache.get(ymd.slice(0, 6))?.events || []) if (e.from === ymd) add(e);
+  const fixed = FIXED_HOLIDAYS[ymd.slice(4)];
+  if (fixed) add({ name: fixed, type: "holiday" });
+  return out;
+}
+
+function calendarBadge(ymd, types = ["holiday", "break", "closed", "exam"]) {
+  // "🎌 한글날" for week views; null when nothing notable
+  const e = calendarEventsOn(ymd).find((x) => types.includes(x.type));
+  return e ? `${CALENDAR_ICONS[e.type]} ${e.name}` : null;
+}
+
+function noMenuReason(ymd, lang = "ko") {
+  const events = calendarEventsOn(ymd);
+  const pick = (type) => events.find((e) => e.type === type);
+  const e = pick("break") || pick("holiday") || pick("closed");
+  if (e) return t(lang, `reason.${e.type}`, { icon: CALENDAR_ICONS[e.type], name: e.name });
+  const dow = ymdToDate(ymd).getUTCDay();
+  if (dow === 0) return t(lang, "reason.sunday");
+  if (dow === 6) return t(lang, "reason.saturday");
+  return null;
+}
+
+async function noMenuText(fromYmd, toYmd, meal = "all", lang = "ko") {
+  // Empty-menu reply that says why, falling back to the generic text
+  await loadSchoolCalendar(fromYmd, toYmd);
+  const mealWord = meal === "all" ? "" : lang === "en" ? `${mealLabel(meal, lang).toLowerCase()} ` : `🍽 ${mealKo(meal)} `;
+  const generic = t(lang, "menu.noneGeneric", { meal: mealWord });
+  if (fromYmd === toYmd) {
+    const reason = noMenuReason(fromYmd, lang);
+    return `📅 ${prettyYmd(fromYmd)}\n${reason || generic}`;
+  }
+  const marks = [];
+  for (let d = ymdToDate(fromYmd); yyyymmdd(d) <= toYmd; d = addDays(d, 1)) {
+    const badge = calendarBadge(yyyymmdd(d), ["holiday", "break", "closed"]);
+    if (badge) marks.push(`• ${prettyYmd(yyyymmdd(d))} ${badge}`);
+  }
+  return marks.length ? `${t(lang, "menu.noneRange")}\n${marks.join("\n")}` : generic;
+}
+
+// ----------------- Menu providers -----------------
+// Every provider returns the same shape: { breakfast, lunch, dinner, late } (strings or null),
+// plus `nutrition` per meal and `fetchedAt` (epoch ms of the upstream fetch behind the result).
+// - fetchDay(ymd)        -> info | null (null = no menu that day)
+// - fetchRange(from, to, opts) -> Map<YYYYMMDD, info>; opts.dayFallbackMax caps how many day pages
+//   one request may fetch when month parsing comes back empty (anonymous API callers)
+// Providers are tried in MENU_PROVIDERS order (default: hafs,neis); a provider that throws
+// or returns nothing hands over to the next one. Results carry `source` (provider name).
+const menuProviders = {
+  hafs: {
+    name: "hafs",
+    label: "학교 홈페이지",
+    enabled: () => true,
+    fetchDay: (ymd) => fetchHafsDayMeals(ymd),
+    fetchRange: (fromYmd, toYmd, opts) => fetchHafsMonthMapForRange(fromYmd, toYmd, opts),
+  },
+  neis: {
+    name: "neis",
+    label: "NEIS 급식정보",
+    enabled: () => Boolean(NEIS_KEY && NEIS_SCHOOL_CODE),
+    fetchDay: (ymd) => fetchNeisDayMeals(ymd),
+    fetchRange: (fromYmd, toYmd) => fetchNeisMonthMapForRange(fromYmd, toYmd),
+  },
+};
+
+const MENU_PROVIDER_ORDER = String(process.env.MENU_PROVIDERS || "hafs,neis")
+  .split(",")
+  .map((s) => s.trim().toLowerCase())
+  .filter((s) => menuProviders[s]);
+
+function activeMenuProviders() {
+  return MENU_PROVIDER_ORDER.map((name) => menuProviders[name]).filter((p) => p.enabled());
+}
+
+function menuSourceLabel(source, lang = "ko") {
+  const key = `source.${source}`;
+  const label = t(lang, key);
+  return label !== key ? label : menuProviders[source]?.label || source || "";
+}
+
+async function fetchDayMeals(ymd) {
+  let firstErr = null;
+  let failures = 0;
+  const providers = activeMenuProviders();
+  for (const provider of providers) {
+    try {
+      const info = await provider.fetchDay(ymd);
+      if (info) {
+        const out = { ...info, source: provider.name };
+        archiveDayMeals(ymd, out);
+        out.changes = recordMenuVersion(ymd, out);
+        return out;
+      }
+    } catch (e) {
+      console.error("[provider-failed]", { provider: provider.name, ymd, code: e?.code, msg: e?.message });
+      if (!firstErr) firstErr = e;
+      failures += 1;
+    }
+  }
+  // Every provider failed: surface the first error (keeps HAFS_FIREWALL handling intact).
+  // An outage next to a provider that answered "no data" still counts when the archive has the
+  // day: the caller then serves the archived copy instead of "no menu".
+  if (firstErr && (failures === providers.length || (isUpstreamOutage(firstErr) && archivedDayMeals(ymd)))) throw firstErr;
+  return null;
+}
+
+async function fetchMonthMapForRange(fromYmd, toYmd, opts = {}) {
+  let firstErr = null;
+  let failures = 0;
+  const providers = activeMenuProviders();
+  for (const provider of providers) {
+    try {
+      const map = await provider.fetchRange(fromYmd, toYmd, opts);
+      if (map && map.size > 0) {
+        const out = new Map();
+        for (const [k, v] of map.entries()) {
+          out.set(k, { ...v, source: provider.name });
+          archiveDayMeals(k, out.get(k));
+          out.get(k).changes = recordMenuVersion(k, out.get(k));
+        }
+        return out;
+      }
+    } catch (e) {
+      console.error("[provider-failed]", { provider: provider.name, fromYmd, toYmd, code: e?.code, msg: e?.message });
+      if (!firstErr) firstErr = e;
+      failures += 1;
+    }
+  }
+  if (firstErr && (failures === providers.length || (isUpstreamOutage(firstErr) && archivedRange(fromYmd, toYmd).size > 0))) {
+    throw firstErr;
+  }
+  return new Map();
+}
+
+// Outage-tolerant variants used by the bot: fall back to the archive when upstream is down.
+async function fetchDayMealsOrArchive(ymd) {
+  try {
+    return await fetchDayMeals(ymd);
+  } catch (e) {
+    const archived = isUpstreamOutage(e) ? archivedDayMeals(ymd) : null;
+    if (!archived) throw e;
+    console.error("[archive-fallback]", { ymd, code: e?.code, archivedAt: archived.archivedAt });
+    return archived;
+  }
+}
+
+async function fetchMonthMapForRangeOrArchive(fromYmd, toYmd, opts = {}) {
+  try {
+    return await fetchMonthMapForRange(fromYmd, toYmd, opts);
+  } catch (e) {
+    const archived = isUpstreamOutage(e) ? archivedRange(fromYmd, toYmd) : new Map();
+    if (archived.size === 0) throw e;
+    console.error("[archive-fallback]", { fromYmd, toYmd, code: e?.code, days: archived.size });
+    return archived;
+  }
+}
+
+// ----------------- Scheduler -----------------
+// In-process timetable in KST. Each job runs at the given "HH:MM" times (Asia/Seoul),
+// shifted earlier by a random jitter so restarts/instances don't hit HAFS at the same second.
+const scheduledJobs = new Map(); // name -> job
+const jobStatusStore = createJsonStore("jobs-status.json", { jobs: {} });
+
+function parseKstTimes(spec) {
+  return String(spec || "")
+    .split(",")
+    .map((t) => t.trim())
+    .filter((t) => /^([01]?\d|2[0-3]):[0-5]\d$/.test(t))
+    .map((t) => t.padStart(5, "0"));
+}
+
+function nextKstRunAt(times, nowMs = Date.now()) {
+  // KST midnight of "today" as epoch ms
+  const kstMidnight = Math.floor((nowMs + KST_OFFSET_MS) / 86400000) * 86400000 - KST_OFFSET_MS;
+  let best = null;
+  for (let dayOffset = 0; dayOffset <= 1; dayOffset++) {
+    for (const t of times) {
+      const [hh, mm] = t.split(":").map(Number);
+      const at = kstMidnight + dayOffset * 86400000 + (hh * 60 + mm) * 60000;
+      if (at > nowMs && (best === null || at < best)) best = at;
+    }
+  }
+  return best;
+}
+
+function jobStatus(name) {
+  const jobs = jobStatusStore.data.jobs;
+  if (!jobs[name]) jobs[name] = { lastRunAt: null, lastOk: null, lastError: null, lastDurationMs: null, lastResult: null, runs: 0 };
+  return jobs[name];
+}
+
+async function runJob(job) {
+  const st = jobStatus(job.name);
+  const start = Date.now();
+  try {
+    st.lastResult = (await job.run()) ?? null;
+    st.lastOk = true;
+    st.lastError = null;
+  } catch (e) {
+    st.lastOk = false;
+    st.lastError = `${e?.code || ""} ${e?.message || e}`.trim();
+    console.error("[job-failed]", { job: job.name, code: e?.code, msg: e?.message });
+  } finally {
+    st.lastRunAt = start;
+    st.lastDurationMs = Date.now() - start;
+    st.runs += 1;
+    jobStatusStore.save();
+  }
+  return st;
+}
+
+function scheduleJob({ name, times, jitterMs = 0, run }) {
+  const job = { name, times, jitterMs, run, timer: null, nextRunAt: null };
+
+  const arm = () => {
+    const at = nextKstRunAt(job.times);
+    if (!at) return;
+    const jitter = Math.floor(Math.random() * job.jitterMs);
+    job.nextRunAt = Math.max(Date.now() + 1000, at - jitter);
+    job.timer = setTimeout(async () => {
+      await runJob(job);
+      arm();
+    }, job.nextRunAt - Date.now());
+    job.timer.unref?.();
+  };
+
+  scheduledJobs.set(name, job);
+  arm();
+  return job;
+}
+
+function unscheduleJob(name) {
+  const job = scheduledJobs.get(name);
+  if (!job) return false;
+  clearTimeout(job.timer);
+  scheduledJobs.delete(name);
+  return true;
+}
+
+// ----------------- Prefetch -----------------
+// Warm today/tomorrow day pages and this/next month pages before each meal rush,
+// so students don't pay for the slow path inside Kakao's 5s window.
+const PREFETCH_ENABLED = process.env.PREFETCH_ENABLED !== "0";
+const PREFETCH_TIMES = parseKstTimes(process.env.PREFETCH_TIMES || "06:20,11:20,16:50");
+const PREFETCH_JITTER_MS = Number(process.env.PREFETCH_JITTER_SEC || 120) * 1000;
+const PREFETCH_MAX_REQUESTS = Number(process.env.PREFETCH_MAX_REQUESTS || 6);
+
+async function runPrefetch() {
+  const startCount = upstreamRequestCount;
+  const used = () => upstreamRequestCount - startCount;
+
+  const today = kstYmd();
+  const tomorrow = kstYmd(Date.now() + 86400000);
+  const y = Number(today.slice(0, 4));
+  const m = Number(today.slice(4, 6));
+  const next = m === 12 ? { y: y + 1, m: 1 } : { y, m: m + 1 };
+
+  const tasks = [
+    { label: `day ${today}`, run: () => fetchDayMeals(today) },
+    { label: `day ${tomorrow}`, run: () => fetchDayMeals(tomorrow) },
+    { label: `month ${y}${pad2(m)}`, run: () => prefetchMonth(y, m) },
+    { label: `month ${next.y}${pad2(next.m)}`, run: () => prefetchMonth(next.y, next.m) },
+  ];
+
+  const done = [];
+  const failed = [];
+  const skipped = [];
+  for (const task of tasks) {
+    if (used() >= PREFETCH_MAX_REQUESTS) {
+      skipped.push(task.label);
+      continue;
+    }
+    try {
+      await task.run();
+      done.push(task.label);
+    } catch (e) {
+      failed.push(`${task.label}: ${e?.code || e?.message || e}`);
+    }
+  }
+
+  const result = { done, failed, skipped, upstreamRequests: used() };
+  console.log("[prefetch]", result);
+  if (done.length === 0 && failed.length > 0) {
+    const err = new Error(failed.join("; "));
+    err.code = "PREFETCH_FAILED";
+    throw err;
+  }
+  return result;
+}
+
+async function prefetchMonth(y, m) {
+  // Month page only (no per-day fallback fan-out); parsed days go into the archive. Days archived
+  // from another provider are left alone: the live fetch decides which provider a day comes from.
+  const html = await fetchMonthHtml(y, m);
+  for (const [ymd, info] of parseMonthMeals(html, y, m).entries()) {
+    const archivedSource = menuArchive.data.days[ymd]?.source;
+    if (archivedSource && archivedSource !== "hafs") continue;
+    archiveDayMeals(ymd, { ...info, source: "hafs" });
+  }
+}
+
+if (PREFETCH_ENABLED && PREFETCH_TIMES.length > 0) {
+  scheduleJob({
+    name: "prefetch",
+    times: PREFETCH_TIMES,
+    jitterMs: PREFETCH_JITTER_MS,
+    run: () => upstreamContext.run({ priority: "background" }, runPrefetch),
+  });
+}
+
+if (!menuProviders.neis.enabled()) {
+  console.log("[providers] NEIS disabled (set NEIS_KEY and NEIS_SCHOOL_CODE to enable fallback)");
+}
+
+// ----------------- Meal serving windows -----------------
+// "breakfast=07:00-08:00,lunch=..." in KST; exam days use their own timetable.
+const MEAL_WINDOWS = {
+  weekday: parseMealTimes(process.env.MEAL_WINDOWS_WEEKDAY || "breakfast=07:00-08:10,lunch=12:20-13:20,dinner=17:50-18:50"),
+  weekend: parseMealTimes(process.env.MEAL_WINDOWS_WEEKEND || "breakfast=08:00-09:00,lunch=12:00-13:00,dinner=17:30-18:30"),
+  exam: parseMealTimes(process.env.MEAL_WINDOWS_EXAM || "breakfast=07:00-08:00,lunch=11:50-13:00,dinner=17:30-18:30"),
+};
+const EXAM_PERIODS = parseYmdRanges(process.env.EXAM_PERIODS || ""); // "20261020-20261023,20261207-20261210"
+const NOW_LOOKAHEAD_DAYS = 2;
+
+function parseMealTimes(spec) {
+  const out = {};
+  for (const part of String(spec || "").split(",")) {
+    const m = part.trim().match(/^(breakfast|lunch|dinner|late)=(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/);
+    if (!m) continue;
+    out[m[1]] = { start: Number(m[2]) * 60 + Number(m[3]), end: Number(m[4]) * 60 + Number(m[5]) };
+  }
+  return out;
+}
+
+function parseYmdRanges(spec) {
+  const out = [];
+  for (const part of String(spec || "").split(",")) {
+    const m = part.trim().match(/^(\d{8})(?:-(\d{8}))?$/);
+    if (m) out.push({ from: m[1], to: m[2] || m[1] });
+  }
+  return out;
+}
+
+function mealWindowsFor(ymd) {
+  if (EXAM_PERIODS.some((p) => ymd >= p.from && ymd <= p.to)) return MEAL_WINDOWS.exam;
+  if (calendarEventsOn(ymd).some((e) => e.type === "exam")) return MEAL_WINDOWS.exam;
+  const dow = ymdToDate(ymd).getUTCDay();
+  return dow === 0 || dow === 6 ? MEAL_WINDOWS.weekend : MEAL_WINDOWS.weekday;
+}
+
+function formatMinutes(min, lang = "ko") {
+  // 40 -> "40분", 135 -> "2시간 15분"
+  const h = Math.floor(min / 60);
+  const m = min % 60;
+  if (!h) return t(lang, "duration.min", { m });
+  return t(lang, m ? "duration.hourMin" : "duration.hour", { h, m });
+}
+
+function formatHm(min) {
+  return `${pad2(Math.floor(min / 60))}:${pad2(min % 60)}`;
+}
+
+function* mealSlotsFrom(nowMs = Date.now()) {
+  // Current or upcoming serving windows in time order, starting now
+  const now = kstDate(nowMs);
+  const minutes = now.getUTCHours() * 60 + now.getUTCMinutes();
+  for (let offset = 0; offset <= NOW_LOOKAHEAD_DAYS; offset++) {
+    const ymd = yyyymmdd(addDays(now, offset));
+    const windows = Object.entries(mealWindowsFor(ymd))
+      .filter(([meal]) => meal !== "late") // 야식 comes with dinner
+      .sort((a, b) => a[1].start - b[1].start);
+    for (const [meal, w] of windows) {
+      if (offset === 0 && minutes >= w.end) continue;
+      const serving = offset === 0 && minutes >= w.start;
+      yield {
+        ymd,
+        meal,
+        window: w,
+        serving,
+        minutes: serving ? w.end - minutes : offset * 1440 + w.start - minutes,
+      };
+    }
+  }
+}
+
+// ----------------- Request parsing -----------------
+function sanitizeUtterance(raw) {
+  // Kakao / some clients may prefix quoted replies like `quote>` or include zero-width chars.
+  const s0 = String(raw ?? "");
+  // Normalize non-breaking spaces and other common invisible separators
+  // (Kakao sometimes injects NBSP or thin spaces that don't match typical trims)
+  const s1 = s0.replace(/[\u00A0\u202F\u2000-\u200A]/g, " ");
+  return s1
+    // Kakao/clients sometimes send quoted replies like `quote>`
+    .replace(/^\s*quote>\s*/i, "")
+    // normalize fullwidth pipe and Korean vertical bar to normal pipe
+    .replace(/[｜ㅣ∣¦│┃]/g, "|")
+    // remove zero-width chars
+    .replace(/[\u200B-\u200D\uFEFF]/g, "")
+    // normalize newlines/spaces
+    .replace(/\r\n/g, "\n")
+    .replace(/\s+/g, " ")
+    .trim()
+    // normalize spacing around separators for photo command
+    .replace(/\s*\|\s*/g, "|");
+}
+
+function parseUtter(utterRaw, now = kstDate()) {
+  // English requests are translated to Korean first; lang tells the handler which catalog to answer from
+  const { text, english } = englishToKorean(sanitizeUtterance(utterRaw));
+  return { ...parseKoreanUtter(text, now), lang: english ? "en" : null };
+}
+
+// Everything a plain photo request may contain besides 사진 itself: dates, meals, polite filler
+const PHOTO_REQUEST_WORDS = new RegExp(
+  [
+    "사진",
+    "식단|급식|메뉴",
+    "아침|점심|저녁|조식|중식|석식|breakfast|lunch|dinner",
+    "오늘|내일|모레|글피|어제|그제|그저께|(?:이번|다음|지난|저번)\\s*주",
+    "[월화수목금토일]요일|\\d+\\s*[월일]|\\d{4}-\\d{1,2}-\\d{1,2}|\\d{8}|\\d{1,2}\\/\\d{1,2}",
+    "보여\\s*\\S*|줘|좀|있\\S*|나왔\\S*|올라왔\\S*",
+    "\\b(?:show|give|get|send|can|could|i|me|see|the|a|of|for|on|please)\\b",
+    "(?<=\\S)(?:의|은|는|이|가|도)(?=\\s|$)|[?!.~]",
+  ].join("|"),
+  "gi"
+);
+
+function parseKoreanUtter(utterRaw, now = kstDate()) {
+  let utter = sanitizeUtterance(utterRaw);
+
+  // Robustness: photo commands can arrive with different separators (|, /, fullwidth ｜, Korean ㅣ)
+  // and meal keys can be English (breakfast/lunch/dinner) or Korean (아침/점심/저녁/조식/중식/석식)
+  if (/^사진\s*[\/|｜ㅣ]/.test(utter) || utter.startsWith("사진/")) {
+    // normalize separators
+    utter = utter.replace(/[\/｜ㅣ]/g, "|");
+    // collapse accidental duplicate separators
+    utter = utter.replace(/\|{2,}/g, "|");
+    // normalize spacing around separators
+    utter = utter.replace(/\s*\|\s*/g, "|");
+    // normalize prefix
+    utter = utter.replace(/^\s*사진\s*\|/g, "사진|");
+  }
+
+  // Photo notification: "사진 올라오면 알려줘", "점심 사진 나오면 알려줘", "사진 알림 20261020 점심"
+  // (before the photo matchers below, which would read it as a photo request)
+  if (/사진\s*(?:이\s*)?(?:올라오면|나오면|뜨면|업로드되면)\s*알려|^사진\s*알림/.test(utter)) {
+    const range = resolveDateExpr(utter.replace(/사진|알림|올라오면|나오면|뜨면|업로드되면|알려\S*/g, " "), now);
+    const ymd = utter.match(/\b(\d{8})\b/)?.[1] || range?.from || yyyymmdd(now);
+    const photoMeal = /아침|조식/.test(utter) ? "breakfast" : /점심|중식/.test(utter) ? "lunch" : /저녁|석식/.test(utter) ? "dinner" : null;
+    return { utter, when: "photoWatch", meal: "photoWatch", photoYmd: ymd, photoMeal };
+  }
+
+  // Helper to normalize meal key into (breakfast|lunch|dinner)
+  const normalizeMealKey = (mk) => {
+    const s = String(mk || "").trim().toLowerCase();
+    if (s === "breakfast" || s === "lunch" || s === "dinner") return s;
+    if (s === "아침" || s === "조식") return "breakfast";
+    if (s === "점심" || s === "중식") return "lunch";
+    if (s === "저녁" || s === "석식") return "dinner";
+    return null;
+  };
+
+  // Photo request: tolerate variations like
+  // - "사진|YYYYMMDD|breakfast"
+  // - "사진 | YYYYMMDD | breakfast"
+  // - "사진|YYYYMMDD|breakfast|" (trailing pipe)
+  // - extra trailing text after the command (rare, but can happen)
+  {
+    // 0) Loose matcher first: accept any separators/extra chars between tokens.
+    // This catches Kakao edge-cases where vertical bars arrive as unusual unicode.
+    const loose = utter.match(
+      /사진[^0-9]*(\d{8})[^0-9a-zA-Z가-힣]*(breakfast|lunch|dinner|아침|점심|저녁|조식|중식|석식)/i
+    );
+    if (loose) {
+      const ymd = String(loose[1] || "").trim();
+      const mealKey = normalizeMealKey(loose[2]);
+      if (/^\d{8}$/.test(ymd) && mealKey) {
+        return { utter: `사진|${ymd}|${mealKey}`, when: "photo", meal: "photo", photoYmd: ymd, photoMeal: mealKey };
+      }
+    }
+
+    // First try a split-based parser (most robust)
+    const parts = utter.split("|").map((p) => String(p || "").trim()).filter((p) => p.length > 0);
+
+    // Accept: ["사진", "YYYYMMDD", "meal"] (+ ignore extras)
+    if (parts.length >= 3 && parts[0] && parts[0].startsWith("사진")) {
+      const ymd = parts[1];
+      const mealKey = normalizeMealKey(parts[2]);
+      if (/^\d{8}$/.test(ymd) && mealKey) {
+        return { utter: `사진|${ymd}|${mealKey}`, when: "photo", meal: "photo", photoYmd: ymd, photoMeal: mealKey };
+      }
+    }
+
+    // Fallback: regex (allows trailing pipe/whitespace)
+    const m = utter.match(/^사진\|(\d{8})\|([^|]+)(?:\|.*)?$/i);
+    if (m) {
+      const ymd = String(m[1] || "").trim();
+      const mealKey = normalizeMealKey(m[2]);
+      if (/^\d{8}$/.test(ymd) && mealKey) {
+        return { utter: `사진|${ymd}|${mealKey}`, when: "photo", meal: "photo", photoYmd: ymd, photoMeal: mealKey };
+      }
+    }
+  }
+
+  // Photo by date expression: "사진", "내일 저녁 사진" (defaults to today's lunch). Only when nothing
+  // but date/meal words surround it, so "검색 사진", "알림 사진", "사진 언제" reach their own intents
+  if (/사진/.test(utter) && !utter.replace(PHOTO_REQUEST_WORDS, " ").trim()) {
+    const range = resolveDateExpr(utter.replace(/사진/g, " "), now);
+    const ymd = range?.from || yyyymmdd(now);
+    const mealKey = /아침|조식/.test(utter) ? "breakfast" : /저녁|석식/.test(utter) ? "dinner" : "lunch";
+    return { utter: `사진|${ymd}|${mealKey}`, when: "photo", meal: "photo", photoYmd: ymd, photoMeal: mealKey };
+  }
+
+  // Allergen lookup/registration: "알레르기", "알레르기 등록 2 5", "알러지 삭제"
+  {
+    const m = utter.match(/^(?:알레르기|알러지)\s*(.*)$/);
+    if (m) return { utter, when: "allergy", meal: "allergy", allergyArgs: m[1] || "" };
+  }
+
+  // Favorite-dish alerts: "알림", "알림 치킨", "알림 삭제 치킨", "알림 끄기"
+  {
+    const m = utter.match(/^(?:알림|알람)(?:\s+(.*))?$/);
+    if (m) return { utter, when: "alerts", meal: "alerts", alertArgs: m[1] || "" };
+  }
+
+  // Current / next meal: "지금", "지금 뭐 먹어?", "다음 식사"
+  if (/^(?:지금|다음\s*(?:식사|끼니|밥))(?:\s*(?:뭐|밥|급식|메뉴|먹|나와|\?)|$)/.test(utter)) {
+    return { utter, when: "now", meal: "now" };
+  }
+
+  // Preferences: "설정", "설정 형식 간단"; profile: "내 정보", "내 정보 삭제"
+  {
+    const m = utter.match(/^설정(?:\s+(.*))?$/);
+    if (m) return { utter, when: "settings", meal: "settings", settingsArgs: m[1] || "" };
+    const p = utter.match(/^내\s*(?:정보|설정|프로필)(\s*(?:삭제|지우기|초기화))?$/);
+    if (p) return { utter, when: "profile", meal: "profile", deleteProfile: Boolean(p[1]) };
+  }
+
+  // Search: "검색 마라탕", "치킨 언제", "돈까스 언제 나와?"
+  {
+    const m =
+      utter.match(/^(?:검색|찾기)\s+(.+)$/) ||
+      utter.match(/^(.+?)\s*(?:검색|언제\s*(?:나와|나오니|나오나|나옴|있어|먹어)?)\s*[?？!.]*$/);
+    if (m && m[1].trim()) return { utter, when: "search", meal: "search", query: m[1].trim() };
+  }
+
+  // when: 오늘/내일/모레/어제, 요일, 이번주/다음주/지난주, "3월 5일", "3/14", "20261105"
+  const range = resolveDateExpr(utter, now);
+  const when = range?.when || "today";
+  const from = range?.from || yyyymmdd(now);
+  const to = range?.to || from;
+
+  // meal (can be combined with any date expression: "금요일 점심", "3/14 석식")
+  let meal = "all";
+  if (/아침|조식/.test(utter)) meal = "breakfast";
+  else if (/점심|중식/.test(utter)) meal = "lunch";
+  else if (/저녁|석식/.test(utter)) meal = "dinner";
+
+  // "영양", "칼로리", "이번주 칼로리", "점심 열량"
+  const nutrition = /영양|칼로리|열량/.test(utter);
+
+  // "채식", "내일 점심 할랄": dietary filter over the same date/meal
+  const diet = /할랄/.test(utter) ? "halal" : /채식|베지/.test(utter) ? "vegetarian" : null;
+
+  // Whether the utterance asked for a menu at all (otherwise the handler shows the help reply)
+  const recognized = Boolean(range) || meal !== "all" || Boolean(diet) || /메뉴|급식|식단/.test(utter);
+
+  return { utter, when, meal, nutrition, diet, from, to, recognized };
+}
+
+const WEEKDAY_INDEX = { 월: 0, 화: 1, 수: 2, 목: 3, 금: 4, 토: 5, 일: 6 }; // Monday-based
+
+function ymdFromParts(y, m, d) {
+  const dt = new Date(Date.UTC(y, m - 1, d));
+  if (dt.getUTCFullYear() !== y || dt.getUTCMonth() !== m - 1 || dt.getUTCDate() !== d) return null;
+  return yyyymmdd(dt);
+}
+
+function guessYearYmd(now, m, d) {
+  // Month/day without a year: pick the occurrence within ~6 months of today
+  const y = now.getUTCFullYear();
+  const ymd = ymdFromParts(y, m, d);
+  if (!ymd) return null;
+  const diffDays = ymdDiffDays(yyyymmdd(now), ymd);
+  if (diffDays < -183) return ymdFromParts(y + 1, m, d);
+  if (diffDays > 183) return ymdFromParts(y - 1, m, d);
+  return ymd;
+}
+
+function resolveDateExpr(utter, now = kstDate()) {
+  const s = String(utter || "");
+  const day = (offset) => {
+    const ymd = yyyymmdd(addDays(now, offset));
+    return { when: offset === 1 ? "tomorrow" : offset === 0 ? "today" : "date", from: ymd, to: ymd };
+  };
+  const weekOf = (weekOffset) => {
+    const monday = addDays(startOfWeekMonday(now), weekOffset * 7);
+    return { monday, from: yyyymmdd(monday), to: yyyymmdd(addDays(monday, 6)) };
+  };
+
+  // 1) Explicit dates
+  let m = s.match(/(?<!\d)(20\d{2})[-./년\s]*(\d{1,2})[-./월\s]*(\d{1,2})(?!\d)/);
+  if (m) {
+    const ymd = ymdFromParts(Number(m[1]), Number(m[2]), Number(m[3]));
+    if (ymd) return { when: "date", from: ymd, to: ymd };
+  }
+  m = s.match(/(?<!\d)(\d{1,2})\s*월\s*(\d{1,2})\s*일?/) || s.match(/(?<![\d.|])(\d{1,2})\s*[/.]\s*(\d{1,2})(?![\d.])/);
+  if (m) {
+    const ymd = guessYearYmd(now, Number(m[1]), Number(m[2]));
+    if (ymd) return { when: "date", from: ymd, to: ymd };
+  }
+  m = s.match(/(?<![\d월])(\d{1,2})\s*일(?!요)/);
+  if (m) {
+    const ymd = ymdFromParts(now.getUTCFullYear(), now.getUTCMonth() + 1, Number(m[1]));
+    if (ymd) return { when: "date", from: ymd, to: ymd };
+  }
+
+  // 2) Relative days (check longer words first: 내일모레 before 내일, 그저께 before 어제)
+  if (/글피/.test(s)) return day(3);
+  if (/내일\s*모레|모레/.test(s)) return day(2);
+  if (/내일/.test(s)) return day(1);
+  if (/그저께|그제/.test(s)) return day(-2);
+  if (/어제/.test(s)) return day(-1);
+
+  // 3) Weeks, optionally with a weekday ("다음주 금요일", "지난주 수요일 점심")
+  let weekOffset = null;
+  if (/다음\s*주|담주|차주/.test(s)) weekOffset = 1;
+  else if (/지난\s*주|저번\s*주|전주/.test(s)) weekOffset = -1;
+  else if (/이번\s*주|금주|주간/.test(s)) weekOffset = 0;
+
+  const wd = s.match(/([월화수목금토일])(?:요일|욜)/);
+  if (wd) {
+    const idx = WEEKDAY_INDEX[wd[1]];
+    if (weekOffset !== null) {
+      const ymd = yyyymmdd(addDays(weekOf(weekOffset).monday, idx));
+      return { when: "date", from: ymd, to: ymd };
+    }
+    // Bare weekday: the next occurrence, today included
+    const todayIdx = (now.getUTCDay() + 6) % 7;
+    return day((idx - todayIdx + 7) % 7);
+  }
+
+  if (weekOffset !== null) {
+    const w = weekOf(weekOffset);
+    return { when: weekOffset === 0 ? "week" : "range", from: w.from, to: w.to };
+  }
+
+  if (/오늘/.test(s)) return day(0);
+  return null;
+}
+function extractPhotoLinksFromHtml(html) {
+  // Returns mealKey -> absolute image URL (preferably the HAFS popup URL act=lunch.image_pop&img=...)
+  // We MUST avoid mixing meals (e.g., lunch returning breakfast photo).
+  const $ = cheerio.load(String(html || ""));
+
+  const toAbs = (p) => {
+    if (!p) return null;
+    const s = String(p).replace(/&amp;/g, "&").trim();
+    if (!s) return null;
+    if (/^https?:\/\//i.test(s)) return s;
+    const path = s.startsWith("/") ? s : `/${s}`;
+    return `https://${HAFS_HOST}${path}`;
+  };
+
+  const looksLikeFood = (s) => {
+    const v = String(s || "");
+    if (!v) return false;
+    if (v.includes("no_foodimg")) return false;
+    // popup OR direct image path
+    return v.includes("lunch.image_pop") || v.includes("/files/food/") || (v.includes("/hosts/") && v.includes("/food/"));
+  };
+
+  const extractPopupOrPath = (raw) => {
+    if (!raw) return null;
+    const norm = String(raw).replace(/&amp;/g, "&").trim();
+    if (!norm) return null;
+
+    // If it's already a direct food image path/url
+    if (norm.includes("/files/food/") || (norm.includes("/hosts/") && norm.includes("/files/food/"))) return norm;
+
+    // If it's a popup URL, keep it (we normalize later in fetchMealPhotoUrl and /img)
+    if (norm.includes("lunch.image_pop")) return norm;
+
+    // If it's an onclick like: window.open('...?act=lunch.image_pop&img=...')
     const mPop = norm.match(/(\?act=lunch\.image_pop[^'"\s)]*)/i);
     if (mPop && mPop[1]) return mPop[1];
 
-    // If it contains img=...
-    const mImg = norm.match(/img=([^'"\s)]+)/i);
-    if (mImg && mImg[1]) return `?act=lunch.image_pop&img=${mImg[1]}`;
+    // If it contains img=...
+    const mImg = norm.match(/img=([^'"\s)]+)/i);
+    if (mImg && mImg[1]) return `?act=lunch.image_pop&img=${mImg[1]}`;
+
+    return null;
+  };
+
+  const pickFromScope = ($scope) => {
+    if (!$scope || $scope.length === 0) return null;
+
+    // 1) Prefer popup links (most reliable)
+    let found = null;
+    $scope.find("a").each((_, a) => {
+      if (found) return;
+      const $a = $(a);
+      const href = $a.attr("href") || "";
+      const onclick = $a.attr("onclick") || "";
+      const c1 = extractPopupOrPath(href);
+      const c2 = extractPopupOrPath(onclick);
+      const cand = c1 || c2;
+      if (cand && looksLikeFood(cand)) found = cand;
+    });
+    if (found) return toAbs(found);
+
+    // 2) Then try <img src=".../files/food/...">
+    $scope.find("img").each((_, img) => {
+      if (found) return;
+      const $img = $(img);
+      const src = $img.attr("src") || $img.attr("data-src") || $img.attr("data-original") || "";
+      const cand = extractPopupOrPath(src) || src;
+      if (cand && looksLikeFood(cand)) found = cand;
+    });
+    if (found) return toAbs(found);
+
+    // 3) Last resort: regex inside the scope HTML
+    const scopeHtml = String($scope.html() || "");
+    const m1 = scopeHtml.match(/(\?act=lunch\.image_pop[^"'\s>]*)/i);
+    if (m1 && m1[1]) return toAbs(m1[1]);
+    const m2 = scopeHtml.match(/(\/hosts\/[^"'\s>]+\/files\/food\/[^"'\s>]+)/i) || scopeHtml.match(/(\/files\/food\/[^"'\s>]+)/i);
+    if (m2 && m2[1]) return toAbs(m2[1]);
+
+    return null;
+  };
+
+  // Prefer a candidate that appears *after* the meal label marker
+  // inside a tight scope to avoid mixing meals (e.g., lunch -> breakfast photo).
+  const pickAfterMarker = ($marker, $scope) => {
+    if (!$marker || !$scope || $marker.length === 0 || $scope.length === 0) return null;
+    const markerEl = $marker.get(0);
+    if (!markerEl) return null;
+
+    const nodes = $scope.find("*").toArray();
+    const idx = nodes.findIndex((n) => n === markerEl);
+    if (idx < 0) return null;
+
+    for (let i = idx + 1; i < nodes.length; i++) {
+      const n = nodes[i];
+      if (!n || !n.name) continue;
+      const $n = $(n);
+      const tag = String(n.name || "").toLowerCase();
+
+      if (tag === "a") {
+        const href = $n.attr("href") || "";
+        const onclick = $n.attr("onclick") || "";
+        const cand = extractPopupOrPath(href) || extractPopupOrPath(onclick);
+        if (cand && looksLikeFood(cand)) return toAbs(cand);
+      }
+
+      if (tag === "img") {
+        const src = $n.attr("src") || $n.attr("data-src") || $n.attr("data-original") || "";
+        const cand = extractPopupOrPath(src) || src;
+        if (cand && looksLikeFood(cand)) return toAbs(cand);
+      }
+    }
+
+    return null;
+  };
+
+  // DOM-first: find the meal label marker and search in its nearest container.
+  // This avoids the classic bug where "중식" search accidentally grabs the first photo (조식).
+  const findByLabel = (label) => {
+    // Most pages show meal labels as images with alt/title.
+    const markers = $(
+      `img[alt*="${label}"], img[title*="${label}"], span:contains("${label}"), strong:contains("${label}")`
+    ).toArray();
+
+    for (const el of markers) {
+      const $m = $(el);
+
+      // 1) Tight, directional scopes first (after the marker only)
+      const directionalScopes = [
+        $m.parent(),
+        $m.closest("td"),
+        $m.closest("tr"),
+      ].filter((x) => x && x.length);
+
+      for (const sc of directionalScopes) {
+        const url = pickAfterMarker($m, sc);
+        if (url) return url;
+      }
+
+      // Try several reasonable containers, from tight to broad
+      const scopes = [
+        $m.parent(),
+        $m.closest(".meal, .lunch, .lunch_list, .food, .menu, .tbl, .box, td, tr"),
+        $m.closest("td"),
+        $m.closest("tr"),
+      ].filter((x) => x && x.length);
+
+      for (const sc of scopes) {
+        const url = pickFromScope(sc);
+        if (url) return url;
+      }
+    }
+
+    return null;
+  };
+
+  const result = { breakfast: null, lunch: null, dinner: null };
+
+  // 1) Label-scoped extraction (most accurate)
+  result.breakfast = findByLabel("조식");
+  result.lunch = findByLabel("중식");
+  result.dinner = findByLabel("석식");
+
+  // 2) Conservative fallback:
+  // Only use order-based fill when *all* label matches failed.
+  // If some labels matched and others didn't, do not cross-fill missing meals
+  // (prevents lunch/dinner from accidentally reusing breakfast photo).
+  const anyLabelMatched = Boolean(result.breakfast || result.lunch || result.dinner);
+  if (anyLabelMatched) return result;
+
+  // No labels matched at all -> fill by appearance order as last resort.
+  const ordered = [];
+  $("a").each((_, a) => {
+    const $a = $(a);
+    const href = $a.attr("href") || "";
+    const onclick = $a.attr("onclick") || "";
+    const cand = extractPopupOrPath(href) || extractPopupOrPath(onclick);
+    if (cand && looksLikeFood(cand)) ordered.push(toAbs(cand));
+  });
+  $("img").each((_, img) => {
+    const $img = $(img);
+    const src = $img.attr("src") || $img.attr("data-src") || $img.attr("data-original") || "";
+    const cand = extractPopupOrPath(src) || src;
+    if (cand && looksLikeFood(cand)) ordered.push(toAbs(cand));
+  });
+
+  const seen = new Set();
+  const uniq = [];
+  for (const u of ordered) {
+    if (!u) continue;
+    if (u.includes("no_foodimg")) continue;
+    if (seen.has(u)) continue;
+    seen.add(u);
+    uniq.push(u);
+  }
+
+  for (let i = 0; i < 3; i++) {
+    const meal = i === 0 ? "breakfast" : i === 1 ? "lunch" : "dinner";
+    if (uniq[i]) result[meal] = uniq[i];
+  }
+
+  return result;
+}
+
+function photoUrlCacheKey(ymd, mealKey) {
+  // versioned cache key to avoid serving stale cross-mapped entries
+  return `v2|${ymd}|${mealKey}`;
+}
+
+function isPhotoUrlCached(ymd, mealKey) {
+  const cached = photoUrlCache.get(photoUrlCacheKey(ymd, mealKey));
+  return Boolean(cached && Date.now() - cached.ts < PHOTO_URL_TTL_MS);
+}
+
+async function fetchMealPhotoUrl(ymd, mealKey) {
+  const key = photoUrlCacheKey(ymd, mealKey);
+  const cached = photoUrlCache.get(key);
+  const now = Date.now();
+
+  if (cached && now - cached.ts < PHOTO_URL_TTL_MS) {
+    return cached.url || null;
+  }
+
+  const html = await fetchDayInfo(ymd);
+  const map = extractPhotoLinksFromHtml(html);
+  let url = map?.[mealKey] || null;
+  console.log("[PHOTO MAP]", {
+    ymd,
+    mealKey,
+    picked: url || null,
+    breakfast: map?.breakfast || null,
+    lunch: map?.lunch || null,
+    dinner: map?.dinner || null,
+  });
+
+  // Normalize HAFS popup URL (act=lunch.image_pop&img=...) -> direct image URL
+  const normalizePopupToDirect = (input) => {
+    if (!input) return null;
+    try {
+      const u = new URL(String(input));
+      const act = String(u.searchParams.get("act") || "").toLowerCase();
+      const img = u.searchParams.get("img");
+      if (act.includes("lunch.image_pop") && img) {
+        const decoded = decodeURIComponent(img);
+        const preferredScheme = "http"; // NitroEye blocks https more often
+        if (/^https?:\/\//i.test(decoded)) {
+          return decoded.replace(/^https:\/\//i, `${preferredScheme}://`).replace(/^http:\/\//i, `${preferredScheme}://`);
+        }
+        if (decoded.startsWith("/")) return `${preferredScheme}://${HAFS_HOST}${decoded}`;
+        return `${preferredScheme}://${HAFS_HOST}/${decoded}`;
+      }
+
+      // Prefer http for direct HAFS image paths
+      if (u.hostname === HAFS_HOST && /^https:\/\//i.test(String(input))) {
+        return String(input).replace(/^https:\/\//i, "http://");
+      }
+    } catch {
+      // ignore
+    }
+    return input;
+  };
+
+  url = normalizePopupToDirect(url);
+
+  // If we still don't have a plausible URL, return null
+  if (!url || !/^https?:\/\//i.test(url)) return null;
+
+  // NOTE: We intentionally do NOT "HEAD-validate" the upstream image here.
+  // Reason: HAFS/NitroEye frequently blocks HEAD/HTTPS or requires cookies,
+  // which causes false negatives like "식단 사진이 없습니다." even when the photo exists.
+  // The /img proxy already handles popup->direct extraction, HTTP preference, cookies, and fallback.
+
+  // Cache and return
+  photoUrlCache.set(key, { url, ts: now });
+  archiveMealPhotoUrl(ymd, mealKey, url);
+  notePhotoSeen(ymd, mealKey, url);
+  return url;
+}
+
+const photoUrlCache = new Map();
+const PHOTO_URL_TTL_MS = 30 * 60 * 1000;
+
+
+function resolvePublicBaseUrl(req) {
+  if (BASE_URL) return BASE_URL.replace(/\/+$/, "");
+  const protoHeader = String(req?.headers?.["x-forwarded-proto"] || "").split(",")[0].trim();
+  const hostHeader = String(req?.headers?.["x-forwarded-host"] || req?.headers?.host || "").split(",")[0].trim();
+  const proto = protoHeader || req?.protocol || "https";
+  if (!hostHeader) return "https://hafs-cafeteria.onrender.com";
+  return `${proto}://${hostHeader}`.replace(/\/+$/, "");
+}
+
+function proxiedImageUrl(rawUrl, req) {
+  if (!rawUrl) return null;
+  const base = resolvePublicBaseUrl(req);
+  return `${base}/img?url=${encodeURIComponent(rawUrl)}`;
+}
+
+function mealKo(meal) {
+  if (meal === "breakfast") return "조식";
+  if (meal === "lunch") return "중식";
+  if (meal === "dinner") return "석식";
+  return "전체";
+}
+
+function mealLabel(meal, lang = "ko") {
+  if (lang === "en") return { breakfast: "Breakfast", lunch: "Lunch", dinner: "Dinner", late: "Late snack" }[meal] || "All";
+  return meal === "late" ? "야식" : mealKo(meal);
+}
+
+function mealBlockText(info, meal, opts = {}) {
+  // Menu text for one meal, honoring the user's profile (format, 야식 숨김)
+  if (!info?.[meal]) return null;
+  let text = formatMenuText(info[meal], opts);
+  const change = info.changes?.[meal];
+  if (change) text += `\n${t(opts.lang, "menu.changed", { change: menuChangeText(change, opts.lang) })}`;
+  const kcal = info.nutrition?.[meal]?.kcal;
+  if (opts.format === "detailed" && kcal !== undefined) text += `\n🔥 ${Math.round(kcal)}kcal`;
+  if (meal === "dinner" && info.late && !opts.hideLate) {
+    text += `\n\n<${mealLabel("late", opts.lang)}>\n${mealBlockText(info, "late", opts)}`;
+  }
+  return text;
+}
+
+function mealChunks(info, opts = {}) {
+  // opts.only: restrict to one meal ("다음주 점심"); dinner keeps its 야식
+  const want = (k) => !opts.only || opts.only === "all" || opts.only === k;
+  const sep = opts.format === "compact" ? ": " : "\n";
+  const chunks = [];
+  for (const k of ["breakfast", "lunch", "dinner"]) {
+    if (!info[k] || !want(k)) continue;
+    chunks.push(`• ${mealLabel(k, opts.lang)}${sep}${mealBlockText(info, k, opts)}`);
+  }
+  return chunks;
+}
+
+function formatNutrition(n, lang = "ko") {
+  if (!n) return t(lang, "nutrition.unknown");
+  const parts = [];
+  if (n.kcal !== undefined) parts.push(`${Math.round(n.kcal).toLocaleString("ko-KR")}kcal`);
+  if (n.carbs !== undefined) parts.push(`${t(lang, "nutrition.carbs")} ${n.carbs}g`);
+  if (n.protein !== undefined) parts.push(`${t(lang, "nutrition.protein")} ${n.protein}g`);
+  if (n.fat !== undefined) parts.push(`${t(lang, "nutrition.fat")} ${n.fat}g`);
+  if (n.calcium !== undefined) parts.push(`${t(lang, "nutrition.calcium")} ${n.calcium}mg`);
+  return parts.join(" · ");
+}
+
+function dayNutritionLines(info, meal, opts = {}) {
+  const keys = meal === "all" ? ["breakfast", "lunch", "dinner", ...(opts.hideLate ? [] : ["late"])] : [meal];
+  const lines = [];
+  const picked = [];
+  for (const k of keys) {
+    if (!info?.[k]) continue;
+    const n = info.nutrition?.[k] || null;
+    picked.push(n);
+    lines.push(`• ${mealLabel(k, opts.lang)}: ${formatNutrition(n, opts.lang)}`);
+  }
+  return { lines, total: sumNutrition(picked) };
+}
+
+async function nutritionReply(from, to, meal, opts = {}) {
+  const lang = opts.lang;
+  if (from === to) {
+    const info = await fetchDayMealsOrArchive(from);
+    const { lines, total } = dayNutritionLines(info, meal, opts);
+    if (lines.length === 0) return textReply(t(lang, "nutrition.none"), menuButtons(lang));
+    let text = `${t(lang, "nutrition.title", { date: prettyYmd(from) })}\n${lines.join("\n")}`;
+    if (lines.length > 1) text += `\n\n${t(lang, "nutrition.total", { value: formatNutrition(total, lang) })}`;
+    return textReply(`${text}${sourceNote([info], lang)}${staleNote([info], lang)}`, null);
+  }
+
+  const rangeMap = await fetchMonthMapForRangeOrArchive(from, to);
+  if (rangeMap.size === 0) return textReply(t(lang, "nutrition.none"), menuButtons(lang));
+
+  const days = [...rangeMap.keys()].sort();
+  const dayTotals = [];
+  const dayLines = days.map((d) => {
+    const { total } = dayNutritionLines(rangeMap.get(d), meal, opts);
+    dayTotals.push(total);
+    return `• ${prettyYmd(d)}: ${formatNutrition(total, lang)}`;
+  });
+  const weekTotal = sumNutrition(dayTotals);
+  const avgKcal = weekTotal?.kcal !== undefined ? Math.round(weekTotal.kcal / dayTotals.filter((x) => x?.kcal !== undefined).length) : null;
+
+  const mealWord = meal === "all" ? "" : `${mealLabel(meal, lang)} `;
+  let text = `${t(lang, "nutrition.rangeTitle", { meal: mealWord, from: prettyYmd(from), to: prettyYmd(to) })}\n${dayLines.join("\n")}`;
+  text += `\n\n${t(lang, "nutrition.weekTotal", { value: formatNutrition(weekTotal, lang) })}`;
+  if (avgKcal) text += `\n${t(lang, "nutrition.average", { kcal: avgKcal.toLocaleString("ko-KR") })}`;
+  const infos = [...rangeMap.values()];
+  return textReply(`${text}${sourceNote(infos, lang)}${staleNote(infos, lang)}`, null);
+}
+
+function dietMealLines(text, diet, lang) {
+  // One line per verdict: "✅ 먹을 수 있어요: 쌀밥, 된장국" / "❌ 피하세요: 돈까스 🐷"
+  const groups = { ok: [], check: [], avoid: [] };
+  for (const d of parseDishes(text)) {
+    const name = lang === "en" ? translateDish(d.name) : d.name;
+    const icons = d.tags.map((tag) => DIET_TAGS[tag].icon).join("");
+    groups[dietVerdict(d.tags, diet)].push(icons ? `${name} ${icons}` : name);
+  }
+  return Object.entries(groups)
+    .filter(([, names]) => names.length)
+    .map(([verdict, names]) => `${t(lang, `diet.${verdict}`)}: ${names.join(", ")}`);
+}
+
+function dietDayBlocks(info, meal, diet, opts = {}) {
+  const keys = meal === "all" ? ["breakfast", "lunch", "dinner", ...(opts.hideLate ? [] : ["late"])] : [meal];
+  return keys
+    .filter((k) => info?.[k])
+    .map((k) => `• ${mealLabel(k, opts.lang)}\n${dietMealLines(info[k], diet, opts.lang).join("\n")}`);
+}
+
+async function dietReply(from, to, meal, diet, opts = {}) {
+  // "채식", "내일 점심 할랄", "이번주 채식": which dishes of each meal are safe
+  const lang = opts.lang;
+  const title = t(lang, `diet.${diet}`);
+  const rangeMap = from === to ? new Map([[from, await fetchDayMealsOrArchive(from)]]) : await fetchMonthMapForRangeOrArchive(from, to);
+  const days = [...rangeMap.keys()].sort().filter((d) => dietDayBlocks(rangeMap.get(d), meal, diet, opts).length > 0);
+  if (days.length === 0) return textReply(await noMenuText(from, to, meal, lang), menuButtons(lang));
+
+  const body = days
+    .map((d) => `📅 ${prettyYmd(d)}\n${dietDayBlocks(rangeMap.get(d), meal, diet, opts).join("\n\n")}`)
+    .join("\n\n──────────\n\n");
+  const infos = days.map((d) => rangeMap.get(d));
+  return textReply(`${title}\n${body}\n\n${t(lang, "diet.note")}${sourceNote(infos, lang)}${staleNote(infos, lang)}`, null);
+}
+
+function peekMealPhotoUrl(ymd, mealKey) {
+  // Only what we already know (memory cache / archive); never hits HAFS.
+  const cached = photoUrlCache.get(photoUrlCacheKey(ymd, mealKey));
+  if (cached && Date.now() - cached.ts < PHOTO_URL_TTL_MS && cached.url) return cached.url;
+  return archivedMealPhotoUrl(ymd, mealKey);
+}
+
+function allergyHitNames(text, opts) {
+  // The user's registered allergens found in a meal, as names ("우유·밀")
+  const mine = new Set(opts.allergens || []);
+  const hits = [...new Set(parseDishes(text).flatMap((d) => d.allergens.filter((c) => mine.has(c))))];
+  return hits.map((c) => allergenName(c, opts.lang)).join("·");
+}
+
+function mealSummary(text, opts) {
+  // Dish list only: list/card descriptions get truncated (KAKAO_LIST_DESC_LIMIT /
+  // KAKAO_CARD_DESC_LIMIT), so callers put the allergy warning in front instead of after each dish
+  return formatMenuText(text, { ...opts, allergens: [] }).split("\n").join(", ");
+}
+
+function dayCardDescription(info, opts) {
+  const want = (k) => !opts.only || opts.only === "all" || opts.only === k;
+  const lines = [];
+  const warnings = [];
+  const add = (k, label) => {
+    const hits = allergyHitNames(info[k], opts);
+    if (hits) warnings.push(`${label} ${hits}`);
+    lines.push(`${info.changes?.[k] ? "🔄 " : ""}${label}: ${mealSummary(info[k], opts)}`);
+  };
+  for (const k of ["breakfast", "lunch", "dinner"]) {
+    if (info[k] && want(k)) add(k, mealLabel(k, opts.lang));
+  }
+  if (info.late && want("dinner") && !opts.hideLate) add("late", mealLabel("late", opts.lang));
+  // One warning line for the whole day, first, so it survives the card truncation
+  if (warnings.length) lines.unshift(`⚠️ ${warnings.join(" / ")}`);
+  return lines.join("\n");
+}
+
+function dayListReply(ymd, info, opts, note = "") {
+  // Overview of one day; tapping a meal asks for that meal's full text (+ photo button).
+  const mealWords = { breakfast: "아침", lunch: "점심", dinner: "저녁" };
+  const items = [];
+  for (const k of ["breakfast", "lunch", "dinner"]) {
+    if (!info[k]) continue;
+    const withLate = k === "dinner" && info.late && !opts.hideLate;
+    let desc = mealSummary(info[k], opts);
+    if (withLate) desc += ` / ${mealLabel("late", opts.lang)}: ${mealSummary(info.late, opts)}`;
+    const hits = allergyHitNames(withLate ? `${info[k]}\n${info.late}` : info[k], opts);
+    if (hits) desc = `⚠️ ${hits} | ${desc}`;
+    items.push({
+      title: info.changes?.[k] ? `${mealLabel(k, opts.lang)} 🔄` : mealLabel(k, opts.lang),
+      description: desc,
+      text: opts.lang === "en" ? `${ymd} ${k}` : `${ymd} ${mealWords[k]}`,
+    });
+  }
+  const badge = calendarBadge(ymd);
+  const blocks = [{ type: "list", title: `📅 ${prettyYmd(ymd)}${badge ? ` ${badge}` : ""}`, items }];
+  if (note.trim()) blocks.push({ type: "text", text: note.trim() });
+  return botReply(blocks, null);
+}
+
+function weekCardsReply(days, rangeMap, opts, req, note = "") {
+  // One card per day, with the day's known photo (never fetched here) as the thumbnail
+  const photoMeal = opts.only && opts.only !== "all" ? opts.only : "lunch";
+  const cards = days.map((d) => {
+    const badge = calendarBadge(d);
+    const desc = dayCardDescription(rangeMap.get(d) || {}, opts);
+    const photo = peekMealPhotoUrl(d, photoMeal);
+    return {
+      title: `📅 ${prettyYmd(d)}${badge ? ` ${badge}` : ""}`,
+      description: desc || t(opts.lang, "menu.noMeals"),
+      imageUrl: photo ? proxiedImageUrl(photo, req) : null,
+      buttons: [{ label: t(opts.lang, "menu.details"), text: opts.lang === "en" ? `menu ${d}` : d }],
+    };
+  });
+
+  const blocks = [{ type: "cards", cards }];
+  if (note.trim()) blocks.push({ type: "text", text: note.trim() });
+  return botReply(blocks, null);
+}
+
+async function nowMealReply(opts = {}) {
+  // Skips windows with no menu (holidays, 주말 석식 없음...) within the lookahead
+  const today = kstYmd();
+  await loadSchoolCalendar(today, kstYmd(Date.now() + NOW_LOOKAHEAD_DAYS * 86400000));
+  for (const slot of mealSlotsFrom()) {
+    const info = await fetchDayMealsOrArchive(slot.ymd);
+    const menuText = mealBlockText(info || {}, slot.meal, opts);
+    if (!menuText) continue;
+
+    const lang = opts.lang;
+    const name = lang === "en" ? slot.meal : { breakfast: "아침", lunch: "점심", dinner: "저녁" }[slot.meal];
+    const span = `${formatHm(slot.window.start)}~${formatHm(slot.window.end)}`;
+    const dayWord = slot.ymd === today ? "" : slot.ymd === kstYmd(Date.now() + 86400000) ? t(lang, "now.tomorrow") : `${prettyYmd(slot.ymd)} `;
+    const left = formatMinutes(slot.minutes, lang);
+    const head = slot.serving
+      ? t(lang, "now.serving", { meal: lang === "en" ? mealLabel(slot.meal, lang) : name, span, left })
+      : t(lang, "now.upcoming", { day: dayWord, meal: name, span, left });
+    const text = `${head}\n📅 ${prettyYmd(slot.ymd)} ${mealLabel(slot.meal, lang)}\n${menuText}${sourceNote([info], lang)}${staleNote([info], lang)}`;
+    return textReply(text, photoButton(slot.ymd, slot.meal, lang));
+  }
+  return textReply(t(opts.lang, "now.none", { days: NOW_LOOKAHEAD_DAYS }), menuButtons(opts.lang));
+}
+
+function settingsReply(userId, args, lang = "ko") {
+  // Conversation flow: "설정" -> pick a category -> pick a value (all via quick replies)
+  if (!userId) return textReply(t(lang, "settings.noUser"), null);
+  const [rawName = "", rawValue = ""] = String(args || "").trim().split(/\s+/);
+  const name = rawName.replace(/\s+/g, "") === "기본" ? "기본식사" : rawName;
+  const profile = getUserProfile(userId);
+  const en = lang === "en";
+  // English buttons send "settings <name> <value>" (see settingsArgsFromEnglish)
+  const command = (n, v) => (en ? `settings ${SETTING_OPTIONS[n].en}${v ? ` ${SETTING_OPTIONS[n].enValues[v]}` : ""}` : `설정 ${n}${v ? ` ${v}` : ""}`);
+
+  if (name === "알레르기") return allergyReply(userId, "", lang);
+
+  const opt = SETTING_OPTIONS[name];
+  if (!opt) {
+    const lines = Object.keys(SETTING_OPTIONS).map((n) => `• ${settingName(n, lang)}: ${settingLabel(n, profile, lang)}`);
+    const allergens = (profile.allergens || []).map((c) => allergenName(c, lang)).join(", ") || t(lang, "common.none");
+    return textReply(
+      `${t(lang, "settings.title")}\n${lines.join("\n")}\n• ${t(lang, "settings.allergy")}: ${allergens}\n\n${t(lang, "settings.pick")}`,
+      [
+        ...Object.keys(SETTING_OPTIONS).map((n) => ({ label: settingName(n, lang), text: command(n) })),
+        { label: t(lang, "qr.allergy"), text: en ? "settings allergy" : "설정 알레르기" },
+        { label: t(lang, "qr.profile"), text: en ? "my info" : "내 정보" },
+      ]
+    );
+  }
+
+  if (!(rawValue in opt.values)) {
+    return textReply(
+      t(lang, "settings.current", { name: settingName(name, lang), value: settingLabel(name, profile, lang) }),
+      Object.keys(opt.values).map((v) => ({ label: en ? opt.enValues[v] : v, text: command(name, v) }))
+    );
+  }
+
+  const next = updateUserProfile(userId, { [opt.key]: opt.values[rawValue] });
+  // Switching the language answers in the new language right away
+  const replyLang = next.lang || lang;
+  return textReply(t(replyLang, "settings.saved", { name: settingName(name, replyLang), value: settingLabel(name, next, replyLang) }), [
+    { label: t(replyLang, "qr.settings"), text: replyLang === "en" ? "settings" : "설정" },
+    ...menuButtons(replyLang).slice(3),
+  ]);
+}
+
+function profileReply(userId, del, lang = "ko") {
+  if (!userId) return textReply(t(lang, "profile.noUser"), null);
+  const en = lang === "en";
+  if (del) {
+    const removed = deleteUserProfile(userId);
+    return textReply(t(lang, removed ? "profile.deleted" : "profile.empty"), menuButtons(lang));
+  }
+
+  const profile = userStore.data.users[userId];
+  if (!profile) return textReply(t(lang, "profile.emptyHint"), menuButtons(lang));
+  const lines = Object.keys(SETTING_OPTIONS).map((n) => `• ${settingName(n, lang)}: ${settingLabel(n, profile, lang)}`);
+  const allergens = (profile.allergens || []).map((c) => `${c}. ${allergenName(c, lang)}`).join(", ") || t(lang, "common.none");
+  const updated = profile.updatedAt ? formatKstDateTime(profile.updatedAt) : "-";
+  const alerts = (profile.alertKeywords || []).join(", ") || t(lang, "common.none");
+  const alertLine = `• ${t(lang, "alert.name")}: ${alerts}${profile.alertsOff ? ` (${t(lang, "alert.stateOff")})` : ""}`;
+  return textReply(
+    `${t(lang, "profile.title")}\n${lines.join("\n")}\n• ${t(lang, "settings.allergy")}: ${allergens}\n${alertLine}\n• ${t(lang, "profile.updatedAt")}: ${updated}\n\n${t(lang, "profile.privacy")}`,
+    [
+      { label: t(lang, "qr.settings"), text: en ? "settings" : "설정" },
+      { label: t(lang, "qr.profileDelete"), text: en ? "delete my info" : "내 정보 삭제" },
+    ]
+  );
+}
+
+function allergyReply(userId, args, lang = "ko") {
+  const [sub, ...rest] = String(args || "").trim().split(" ");
+  const table = ALLERGENS.map((a) => `${a.code}. ${lang === "en" ? a.en : a.name}`).join("\n");
+  const mine = getUserProfile(userId).allergens || [];
+  const listOf = (codes) => (codes.length ? codes.map((c) => `${c}. ${allergenName(c, lang)}`).join(", ") : t(lang, "common.none"));
+
+  if (/^(등록|추가)$/.test(sub || "") || /^(삭제|해제|제거)$/.test(sub || "")) {
+    if (!userId) return textReply(t(lang, "allergy.noUser"), null);
+    const codes = resolveAllergenCodes(rest.join(" "));
+    let next;
+    if (/^(등록|추가)$/.test(sub)) {
+      if (codes.length === 0) return textReply(t(lang, "allergy.ask"), null);
+      next = [...new Set([...mine, ...codes])].sort((a, b) => a - b);
+    } else {
+      next = codes.length ? mine.filter((c) => !codes.includes(c)) : [];
+    }
+    updateUserProfile(userId, { allergens: next });
+    return textReply(t(lang, "allergy.saved", { list: listOf(next) }), menuButtons(lang));
+  }
+
+  return textReply(t(lang, "allergy.table", { table, mine: listOf(mine) }), null);
+}
+
+function alertReply(userId, args, lang = "ko") {
+  // userId is only passed for Kakao users: alerts go out through the Kakao Event API
+  if (!userId) return textReply(t(lang, "alert.kakaoOnly"), menuButtons(lang));
+  const en = lang === "en";
+  const profile = getUserProfile(userId);
+  const mine = profile.alertKeywords || [];
+  const arg = String(args || "").trim();
+  const toggle = profile.alertsOff
+    ? { label: t(lang, "qr.alertsOn"), text: en ? "alerts on" : "알림 켜기" }
+    : { label: t(lang, "qr.alertsOff"), text: en ? "alerts off" : "알림 끄기" };
+
+  if (/^(?:끄기|꺼|끄|중지)$/.test(arg)) {
+    updateUserProfile(userId, { alertsOff: true });
+    return textReply(t(lang, "alert.off"), [{ label: t(lang, "qr.alertsOn"), text: en ? "alerts on" : "알림 켜기" }]);
+  }
+  if (/^(?:켜기|켜|켜줘|시작)$/.test(arg)) {
+    updateUserProfile(userId, { alertsOff: false });
+    return textReply(t(lang, "alert.on", { time: ALERT_TIMES.join(", ") }), null);
+  }
+
+  const remove = arg.match(/^(?:삭제|해제|제거|취소)(?:\s+(.*))?$/);
+  if (remove) {
+    const words = alertKeywordsFrom(remove[1]);
+    if (words.length === 0) {
+      updateUserProfile(userId, { alertKeywords: [] });
+      return textReply(t(lang, "alert.removedAll"), null);
+    }
+    const missing = words.filter((w) => !mine.includes(w));
+    if (missing.length === words.length) return textReply(t(lang, "alert.notFound", { keyword: missing.join(", ") }), null);
+    updateUserProfile(userId, { alertKeywords: mine.filter((w) => !words.includes(w)) });
+    return textReply(t(lang, "alert.removed", { keywords: words.filter((w) => !missing.includes(w)).join(", ") }), null);
+  }
+
+  if (!arg) {
+    if (mine.length === 0) return textReply(t(lang, "alert.empty", { time: ALERT_TIMES.join(", ") }), null);
+    const state = t(lang, profile.alertsOff ? "alert.stateOff" : "alert.stateOn");
+    return textReply(t(lang, "alert.list", { state, list: mine.map((w) => `• ${w}`).join("\n") }), [toggle]);
+  }
+
+  const words = alertKeywordsFrom(arg).filter((w) => !mine.includes(w));
+  if (words.length === 0) return textReply(t(lang, "alert.exists"), null);
+  if (mine.length + words.length > ALERT_MAX_KEYWORDS) return textReply(t(lang, "alert.limit", { max: ALERT_MAX_KEYWORDS }), null);
+  updateUserProfile(userId, { alertKeywords: [...mine, ...words] });
+  const hint = profile.alertsOff ? `\n${t(lang, "alert.stillOff")}` : "";
+  return textReply(`${t(lang, "alert.added", { keywords: words.join(", "), time: ALERT_TIMES.join(", ") })}${hint}`, [toggle]);
+}
+
+function sourceNote(infos, lang = "ko") {
+  // Tell the user where the menu came from (HAFS scrape vs. NEIS fallback)
+  const labels = [...new Set(infos.map((i) => i?.source).filter(Boolean))].map((src) => menuSourceLabel(src, lang));
+  return labels.length ? `\n\n${t(lang, "note.source", { labels: labels.join(", ") })}` : "";
+}
+
+function staleNote(infos, lang = "ko") {
+  // Archived copy served during an outage: say how old it is
+  const stamps = infos.filter((i) => i?.stale && i.archivedAt).map((i) => i.archivedAt);
+  if (stamps.length === 0) return "";
+  return `\n${t(lang, "note.stale", { time: formatKstDateTime(Math.min(...stamps)) })}`;
+}
+
+// ----------------- Routes -----------------
+app.get("/health", (req, res) => {
+  res.json({ ok: true });
+});
+
+// Admin routes (job views, running jobs, sending digests/alerts) need "Authorization: Bearer <token>"
+// and don't exist until ADMIN_TOKEN is set. No ?token= query: the [REQ] log writes query strings.
+const ADMIN_TOKEN = (process.env.ADMIN_TOKEN || "").trim();
+
+function secretMatches(given, expected) {
+  const a = Buffer.from(String(given || ""));
+  const b = Buffer.from(String(expected || ""));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) return res.status(404).json({ error: "NOT_CONFIGURED" });
+  const bearer = String(req.headers.authorization || "").replace(/^Bearer\s+/i, "");
+  if (secretMatches(bearer, ADMIN_TOKEN)) return next();
+  return res.status(401).json({ error: "UNAUTHORIZED" });
+}
+
+function escapeHtml(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+app.get("/admin/jobs", requireAdmin, (req, res) => {
+  const jobs = [...scheduledJobs.values()].map((job) => ({
+    name: job.name,
+    times: job.times,
+    nextRunAt: job.nextRunAt,
+    ...jobStatus(job.name),
+  }));
+  if (req.query.format === "json") return res.json({ jobs });
+
+  const fmt = (ts) => (ts ? formatKstDateTime(ts) : "-");
+  const rows = jobs
+    .map(
+      (j) =>
+        `<tr><td>${escapeHtml(j.name)}</td><td>${escapeHtml(j.times.join(", "))}</td><td>${fmt(j.lastRunAt)}</td>` +
+        `<td>${j.lastOk === null ? "-" : j.lastOk ? "✅" : "❌"}</td><td>${j.lastDurationMs ?? "-"}ms</td>` +
+        `<td>${fmt(j.nextRunAt)}</td><td><code>${escapeHtml(j.lastError || JSON.stringify(j.lastResult || ""))}</code></td></tr>`
+    )
+    .join("");
+  res
+    .type("html")
+    .send(
+      `<!doctype html><meta charset="utf-8"><title>jobs</title>` +
+        `<table border="1" cellpadding="4"><tr><th>job</th><th>times (KST)</th><th>last run</th><th>ok</th><th>took</th><th>next run</th><th>detail</th></tr>${rows}</table>`
+    );
+});
+
+app.get("/admin/upstream", requireAdmin, (req, res) => {
+  res.json({ ...upstreamDiagnostics(), browser: browserDiagnostics() });
+});
+
+app.post("/admin/jobs/:name/run", requireAdmin, async (req, res) => {
+  const job = scheduledJobs.get(req.params.name);
+  if (!job) return res.status(404).json({ error: "JOB_NOT_FOUND" });
+  res.json({ name: job.name, ...(await runJob(job)) });
+});
+
+// ----------------- REST API (v1, read-only) -----------------
+// JSON for widgets / the school app. Same fetchers and archive as the bot, but real HTTP errors.
+const MEAL_KEYS = ["breakfast", "lunch", "dinner", "late"];
+const API_MAX_RANGE_DAYS = 31;
+const API_DAY_FALLBACK_MAX = Number(process.env.API_DAY_FALLBACK_MAX || 3); // day pages per anonymous request
+
+function apiError(res, status, code, message) {
+  res.setHeader("Cache-Control", "no-store");
+  return res.status(status).json({ error: { code, message } });
+}
+
+function apiUpstreamError(res, err) {
+  if (isUpstreamOutage(err)) {
+    res.setHeader("Retry-After", "60");
+    return apiError(res, 503, "UPSTREAM_UNAVAILABLE", "School site is unreachable and no archived copy exists.");
+  }
+  console.error("[api-error]", { code: err?.code, msg: err?.message });
+  return apiError(res, 502, "UPSTREAM_ERROR", "Failed to load menu data.");
+}
+
+function isValidYmd(ymd) {
+  if (!/^\d{8}$/.test(String(ymd || ""))) return false;
+  return ymdToDate(ymd).getUTCDate() === Number(ymd.slice(6, 8));
+}
+
+function apiCacheStatus(info, requestStart) {
+  if (info?.stale) return "stale";
+  return info?.fetchedAt && info.fetchedAt < requestStart ? "hit" : "miss";
+}
+
+function apiDay(ymd, info, requestStart) {
+  const meals = {};
+  for (const k of MEAL_KEYS) {
+    const change = info?.changes?.[k];
+    meals[k] = info?.[k]
+      ? {
+          text: info[k],
+          dishes: parseDishes(info[k]),
+          nutrition: info.nutrition?.[k] || null,
+          changed: change ? { removed: change.removed, added: change.added, detectedAt: new Date(change.ts).toISOString() } : null,
+        }
+      : null;
+  }
+  return {
+    date: prettyYmd(ymd),
+    source: info?.source || null,
+    fetchedAt: info?.fetchedAt ? new Date(info.fetchedAt).toISOString() : null,
+    cache: apiCacheStatus(info, requestStart),
+    meals,
+  };
+}
+
+function sendApiJson(res, body, etagSource, maxAgeSec) {
+  // Weak ETag over the menu content only (fetchedAt/cache flip on every refresh);
+  // express answers 304 on a matching If-None-Match.
+  const hash = crypto.createHash("sha1").update(JSON.stringify(etagSource)).digest("base64url");
+  res.setHeader("ETag", `W/"${hash}"`);
+  res.setHeader("Cache-Control", `public, max-age=${maxAgeSec}`);
+  return res.json(body);
+}
+
+app.use("/api/v1", (req, res, next) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  next();
+});
+
+app.get("/api/v1/meals", async (req, res) => {
+  const from = String(req.query.from || "");
+  const to = String(req.query.to || from);
+  if (!isValidYmd(from) || !isValidYmd(to)) {
+    return apiError(res, 400, "INVALID_DATE", "from/to must be YYYYMMDD.");
+  }
+  if (to < from) return apiError(res, 400, "INVALID_RANGE", "to must not be before from.");
+  const spanDays = (Date.UTC(+to.slice(0, 4), +to.slice(4, 6) - 1, +to.slice(6, 8)) - Date.UTC(+from.slice(0, 4), +from.slice(4, 6) - 1, +from.slice(6, 8))) / 86400000;
+  if (spanDays >= API_MAX_RANGE_DAYS) {
+    return apiError(res, 400, "RANGE_TOO_LARGE", `At most ${API_MAX_RANGE_DAYS} days per request.`);
+  }
+
+  const requestStart = Date.now();
+  try {
+    const rangeMap = await fetchMonthMapForRangeOrArchive(from, to, { dayFallbackMax: API_DAY_FALLBACK_MAX });
+    const days = [...rangeMap.keys()].sort().map((d) => apiDay(d, rangeMap.get(d), requestStart));
+    const stale = days.some((d) => d.cache === "stale");
+    return sendApiJson(res, { from: prettyYmd(from), to: prettyYmd(to), days }, days.map((d) => [d.date, d.source, d.meals]), stale ? 60 : 300);
+  } catch (e) {
+    return apiUpstreamError(res, e);
+  }
+});
+
+app.get("/api/v1/meals/:ymd", async (req, res) => {
+  const ymd = String(req.params.ymd || "");
+  if (!isValidYmd(ymd)) return apiError(res, 400, "INVALID_DATE", "Date must be YYYYMMDD.");
+
+  const requestStart = Date.now();
+  try {
+    const info = await fetchDayMealsOrArchive(ymd);
+    if (!info) return apiError(res, 404, "MENU_NOT_FOUND", "No menu for this date.");
+    const day = apiDay(ymd, info, requestStart);
+    return sendApiJson(res, day, [day.date, day.source, day.meals], info.stale ? 60 : 300);
+  } catch (e) {
+    return apiUpstreamError(res, e);
+  }
+});
+
+app.get("/api/v1/meals/:ymd/:meal/photo", async (req, res) => {
+  const ymd = String(req.params.ymd || "");
+  const mealKey = String(req.params.meal || "");
+  if (!isValidYmd(ymd)) return apiError(res, 400, "INVALID_DATE", "Date must be YYYYMMDD.");
+  if (!["breakfast", "lunch", "dinner"].includes(mealKey)) {
+    return apiError(res, 400, "INVALID_MEAL", "meal must be breakfast, lunch or dinner.");
+  }
+
+  const wasCached = isPhotoUrlCached(ymd, mealKey);
+  let url = null;
+  let cache = wasCached ? "hit" : "miss";
+  try {
+    url = await fetchMealPhotoUrl(ymd, mealKey);
+  } catch (e) {
+    url = isUpstreamOutage(e) ? archivedMealPhotoUrl(ymd, mealKey) : null;
+    if (!url) return apiUpstreamError(res, e);
+    cache = "stale";
+  }
+  if (!url) return apiError(res, 404, "PHOTO_NOT_FOUND", "No photo for this meal (yet).");
+
+  const body = { date: prettyYmd(ymd), meal: mealKey, url, proxyUrl: proxiedImageUrl(url, req), cache };
+  return sendApiJson(res, body, [body.date, body.meal, body.url], cache === "stale" ? 60 : 600);
+});
+
+app.get("/api/v1/changes", (req, res) => {
+  // Menu edits detected so far (see Menu versions); defaults to the last 14 days through next week
+  const from = String(req.query.from || kstYmd(Date.now() - 14 * 86400000));
+  const to = String(req.query.to || kstYmd(Date.now() + 7 * 86400000));
+  if (!isValidYmd(from) || !isValidYmd(to)) return apiError(res, 400, "INVALID_DATE", "from/to must be YYYYMMDD.");
+  if (to < from) return apiError(res, 400, "INVALID_RANGE", "to must not be before from.");
+
+  const changes = menuChangeHistory(from, to).map((c) => ({
+    date: prettyYmd(c.date),
+    meal: c.meal,
+    version: c.version,
+    source: c.source,
+    detectedAt: new Date(c.ts).toISOString(),
+    removed: c.removed,
+    added: c.added,
+  }));
+  return sendApiJson(res, { from: prettyYmd(from), to: prettyYmd(to), changes }, changes, 60);
+});
+
+app.get("/api/v1/changes/:ymd", (req, res) => {
+  // Every stored version of one day, oldest first
+  const ymd = String(req.params.ymd || "");
+  if (!isValidYmd(ymd)) return apiError(res, 400, "INVALID_DATE", "Date must be YYYYMMDD.");
+  const versions = menuVersions.data.days[ymd];
+  if (!versions) return apiError(res, 404, "VERSIONS_NOT_FOUND", "No stored versions for this date.");
+  const body = {
+    date: prettyYmd(ymd),
+    versions: versions.map((v) => ({
+      version: v.version,
+      source: v.source,
+      fetchedAt: new Date(v.ts).toISOString(),
+      meals: v.meals,
+      changes: v.changes,
+    })),
+  };
+  return sendApiJson(res, body, body.versions, 60);
+});
+
+app.use("/api/v1", (req, res) => apiError(res, 404, "NOT_FOUND", "Unknown API endpoint."));
+
+// ----------------- Web page -----------------
+// GET / : server-rendered, mobile-first menu page (no JavaScript). ?date=YYYYMMDD, ?view=week, ?lang=en.
+// Day view shows the date and the day after; photos go through /img like the bot's image cards.
+const KAKAO_CHANNEL_URL = (process.env.KAKAO_CHANNEL_URL || "").trim(); // e.g. http://pf.kakao.com/_xxxx/chat
+const WEB_CACHE_SEC = Number(process.env.WEB_CACHE_SEC || 60);
+
+const WEB_CSS = `
+*{box-sizing:border-box}body{margin:0;font:16px/1.5 -apple-system,"Apple SD Gothic Neo","Noto Sans KR",sans-serif;background:#f5f5f4;color:#1c1917}
+header{background:#1e3a8a;color:#fff;padding:12px 16px}h1{margin:0;font-size:1.2rem}a{color:inherit}
+nav{display:flex;gap:8px;flex-wrap:wrap;align-items:center;padding:8px 16px}nav a{padding:6px 12px;border-radius:999px;background:#fff;text-decoration:none;border:1px solid #d6d3d1}
+nav a.on{background:#1e3a8a;color:#fff;border-color:#1e3a8a}header nav{padding:8px 0 0}header nav a{background:transparent;border-color:#93c5fd}
+main{max-width:720px;margin:0 auto;padding:0 12px 24px}section{background:#fff;border-radius:12px;margin:12px 0;padding:12px 16px;box-shadow:0 1px 2px #0001}
+h2{margin:0 0 8px;font-size:1.05rem}h3{margin:12px 0 4px;font-size:.95rem;color:#1e3a8a}ul{margin:0;padding-left:20px}
+img{display:block;width:100%;max-width:480px;height:auto;margin:8px 0;border-radius:8px;background:#e7e5e4}
+.badge,.empty,.cmd,footer{color:#57534e;font-size:.85rem}.changed{color:#b45309;font-size:.9rem;margin:0}.cmd{margin:4px 0 0}footer{max-width:720px;margin:0 auto;padding:0 16px 24px;white-space:pre-line}
+@media (min-width:720px){.week{display:grid;grid-template-columns:1fr 1fr;gap:12px}.week section{margin:0}}`;
+
+function webHref(params) {
+  const q = new URLSearchParams(Object.entries(params).filter(([, v]) => v));
+  const qs = q.toString();
+  return escapeHtml(qs ? `/?${qs}` : "/");
+}
+
+function webDayTitle(ymd, lang) {
+  const weekdays = t(lang, "web.weekdays").split(",");
+  const badge = calendarBadge(ymd);
+  return `${prettyYmd(ymd)} (${weekdays[ymdToDate(ymd).getUTCDay()]})${badge ? ` <span class="badge">${escapeHtml(badge)}</span>` : ""}`;
+}
+
+function webMealHtml(ymd, info, meal, lang, photoUrl) {
+  const items = formatMenuText(info[meal], { lang })
+    .split("\n")
+    .map((line) => `<li>${escapeHtml(line)}</li>`)
+    .join("");
+  const kcal = info.nutrition?.[meal]?.kcal;
+  let html = `<h3>${escapeHtml(mealLabel(meal, lang))}${kcal !== undefined ? ` <small>🔥 ${Math.round(kcal)}kcal</small>` : ""}</h3><ul>${items}</ul>`;
+  const change = info.changes?.[meal];
+  if (change) html += `<p class="changed">${escapeHtml(t(lang, "menu.changed", { change: menuChangeText(change, lang) }))}</p>`;
+  if (meal === "late") return html;
+
+  const label = mealLabel(meal, lang);
+  if (photoUrl) {
+    const alt = t(lang, "web.photoAlt", { date: prettyYmd(ymd), meal: label });
+    html += `<img src="/img?url=${encodeURIComponent(photoUrl)}" alt="${escapeHtml(alt)}" loading="lazy">`;
+  }
+  // Same command the bot's "식단 사진 보기" button sends
+  const cmd = lang === "en" ? `photo ${ymd} ${meal}` : `사진 ${ymd} ${{ breakfast: "아침", lunch: "점심", dinner: "저녁" }[meal]}`;
+  const cmdHtml = KAKAO_CHANNEL_URL ? `<a href="${escapeHtml(KAKAO_CHANNEL_URL)}">${escapeHtml(cmd)}</a>` : `<code>${escapeHtml(cmd)}</code>`;
+  return `${html}<p class="cmd">${t(lang, "web.kakao", { cmd: cmdHtml })}</p>`;
+}
+
+async function webPhotoUrl(ymd, meal, info) {
+  // Only look the photo up on HAFS when the day page is what we just fetched anyway
+  if (info?.source !== "hafs") return peekMealPhotoUrl(ymd, meal);
+  try {
+    return await fetchMealPhotoUrl(ymd, meal);
+  } catch {
+    return peekMealPhotoUrl(ymd, meal);
+  }
+}
 
-    return null;
-  };
+async function webDaySection(ymd, info, lang, withPhotos) {
+  const meals = MEAL_KEYS.filter((k) => info?.[k]);
+  if (meals.length === 0) {
+    const reason = noMenuReason(ymd, lang) || t(lang, "menu.noMeals");
+    return `<section><h2>${webDayTitle(ymd, lang)}</h2><p class="empty">${escapeHtml(reason)}</p></section>`;
+  }
+  const blocks = [];
+  for (const k of meals) {
+    const photo = withPhotos ? await webPhotoUrl(ymd, k, info) : peekMealPhotoUrl(ymd, k);
+    blocks.push(webMealHtml(ymd, info, k, lang, photo));
+  }
+  return `<section><h2>${webDayTitle(ymd, lang)}</h2>${blocks.join("")}</section>`;
+}
 
-  const pickFromScope = ($scope) => {
-    if (!$scope || $scope.length === 0) return null;
+function webPage(lang, nav, body, notes) {
+  const footer = notes.trim() ? `<footer>${escapeHtml(notes.trim())}</footer>` : "";
+  return (
+    `<!doctype html><html lang="${lang}"><head><meta charset="utf-8">` +
+    `<meta name="viewport" content="width=device-width,initial-scale=1"><title>${t(lang, "web.title")}</title>` +
+    `<style>${WEB_CSS}</style></head><body>` +
+    `<header><h1>🍱 ${t(lang, "web.title")}</h1>${nav.tabs}</header><nav>${nav.pager}</nav><main>${body}</main>${footer}</body></html>`
+  );
+}
 
-    // 1) Prefer popup links (most reliable)
-    let found = null;
-    $scope.find("a").each((_, a) => {
-      if (found) return;
-      const $a = $(a);
-      const href = $a.attr("href") || "";
-      const onclick = $a.attr("onclick") || "";
-      const c1 = extractPopupOrPath(href);
-      const c2 = extractPopupOrPath(onclick);
-      const cand = c1 || c2;
-      if (cand && looksLikeFood(cand)) found = cand;
-    });
-    if (found) return toAbs(found);
+app.get("/", async (req, res) => {
+  const lang = req.query.lang === "en" ? "en" : "ko";
+  const today = kstYmd();
+  const date = isValidYmd(String(req.query.date || "")) ? String(req.query.date) : today;
+  const week = req.query.view === "week";
+  const from = week ? yyyymmdd(startOfWeekMonday(ymdToDate(date))) : date;
+  const to = yyyymmdd(addDays(ymdToDate(from), week ? 6 : 1));
+  const step = week ? 7 : 1;
+  const link = (params) => webHref({ lang: lang === "en" ? "en" : "", ...params });
+
+  const nav = {
+    tabs:
+      `<nav><a href="${link({})}"${week ? "" : ' class="on"'}>${escapeHtml(t(lang, "web.day"))}</a>` +
+      `<a href="${link({ view: "week" })}"${week ? ' class="on"' : ""}>${escapeHtml(t(lang, "web.week"))}</a>` +
+      `<a href="${webHref({ lang: lang === "en" ? "" : "en", view: week ? "week" : "", date: date === today ? "" : date })}">${escapeHtml(t(lang, "web.otherLang"))}</a></nav>`,
+    pager:
+      `<a href="${link({ view: week ? "week" : "", date: yyyymmdd(addDays(ymdToDate(from), -step)) })}">${escapeHtml(t(lang, "web.prev"))}</a>` +
+      `<a href="${link({ view: week ? "week" : "" })}">${escapeHtml(t(lang, week ? "web.thisWeek" : "web.today"))}</a>` +
+      `<a href="${link({ view: week ? "week" : "", date: yyyymmdd(addDays(ymdToDate(from), step)) })}">${escapeHtml(t(lang, "web.next"))}</a>`,
+  };
 
-    // 2) Then try <img src=".../files/food/...">
-    $scope.find("img").each((_, img) => {
-      if (found) return;
-      const $img = $(img);
-      const src = $img.attr("src") || $img.attr("data-src") || $img.attr("data-original") || "";
-      const cand = extractPopupOrPath(src) || src;
-      if (cand && looksLikeFood(cand)) found = cand;
-    });
-    if (found) return toAbs(found);
+  try {
+    // Same per-day fallback cap as the JSON API: an anonymous page view must not fan out to HAFS
+    const rangeMap = week ? await fetchMonthMapForRangeOrArchive(from, to, { dayFallbackMax: API_DAY_FALLBACK_MAX }) : new Map();
+    if (!week) {
+      for (const ymd of [from, to]) rangeMap.set(ymd, await fetchDayMealsOrArchive(ymd));
+    }
+    await loadSchoolCalendar(from, to);
 
-    // 3) Last resort: regex inside the scope HTML
-    const scopeHtml = String($scope.html() || "");
-    const m1 = scopeHtml.match(/(\?act=lunch\.image_pop[^"'\s>]*)/i);
-    if (m1 && m1[1]) return toAbs(m1[1]);
-    const m2 = scopeHtml.match(/(\/hosts\/[^"'\s>]+\/files\/food\/[^"'\s>]+)/i) || scopeHtml.match(/(\/files\/food\/[^"'\s>]+)/i);
-    if (m2 && m2[1]) return toAbs(m2[1]);
+    const sections = [];
+    for (let d = ymdToDate(from); yyyymmdd(d) <= to; d = addDays(d, 1)) {
+      const ymd = yyyymmdd(d);
+      sections.push(await webDaySection(ymd, rangeMap.get(ymd), lang, !week));
+    }
+    const infos = [...rangeMap.values()].filter(Boolean);
+    const body = week ? `<div class="week">${sections.join("")}</div>` : sections.join("");
+    res.setHeader("Cache-Control", `public, max-age=${WEB_CACHE_SEC}`);
+    return res.type("html").send(webPage(lang, nav, body, `${sourceNote(infos, lang)}${staleNote(infos, lang)}`));
+  } catch (e) {
+    console.error("[web-error]", { code: e?.code, msg: e?.message });
+    res.setHeader("Cache-Control", "no-store");
+    const body = `<section><p class="empty">${t(lang, "web.error")}</p></section>`;
+    return res.status(isUpstreamOutage(e) ? 503 : 502).type("html").send(webPage(lang, nav, body, ""));
+  }
+});
 
+// ----------------- Daily digest -----------------
+// Pushes the day's menu to outbound webhooks (Slack, Discord, or plain JSON) on a KST schedule.
+// Targets live in DIGEST_CONFIG_FILE and are re-read when the file changes (checked every minute):
+//   { "targets": [{ "name": "dorm-slack", "type": "slack", "url": "https://hooks.slack.com/...",
+//                   "times": ["07:00"], "meals": ["breakfast", "lunch", "dinner"], "photos": true,
+//                   "lang": "ko", "dayOffset": 0, "sendEmpty": false, "retries": 3, "changes": false }] }
+// "changes": true also posts menu edits for today and later as they are detected; a target with
+// "times": [] only gets those.
+// Every attempt is recorded in digest-log.json. POST /admin/digest/:name/send delivers right away
+// (e.g. to a local receiver while setting a target up).
+const DIGEST_CONFIG_FILE = path.resolve(process.env.DIGEST_CONFIG_FILE || path.join(DATA_DIR, "digest-targets.json"));
+const DIGEST_DEFAULT_TIMES = process.env.DIGEST_TIMES || "07:00";
+const DIGEST_TYPES = ["slack", "discord", "json"];
+const DIGEST_RETRY_BASE_MS = Number(process.env.DIGEST_RETRY_BASE_SEC || 5) * 1000;
+const DIGEST_TIMEOUT_MS = Number(process.env.DIGEST_TIMEOUT_MS || 10000);
+const DIGEST_LOG_MAX = Number(process.env.DIGEST_LOG_MAX || 500);
+
+const digestLog = createJsonStore("digest-log.json", { entries: [] });
+let digestConfig = { mtimeMs: -1, targets: [] };
+
+function normalizeDigestTarget(raw) {
+  // -> target or null (logged); unknown fields are ignored
+  const name = String(raw?.name || "").trim();
+  const type = String(raw?.type || "json").toLowerCase();
+  const url = String(raw?.url || "").trim();
+  const problem = !/^[\w.-]+$/.test(name)
+    ? "name must be letters, digits, '.', '_' or '-'"
+    : !DIGEST_TYPES.includes(type)
+      ? `type must be one of ${DIGEST_TYPES.join(", ")}`
+      : !/^https?:\/\//.test(url)
+        ? "url must be http(s)"
+        : null;
+  if (problem) {
+    console.error("[digest-config] skipping target", { name, problem });
     return null;
+  }
+  const times = parseKstTimes([].concat(raw.times ?? DIGEST_DEFAULT_TIMES).join(","));
+  const meals = [].concat(raw.meals ?? ["breakfast", "lunch", "dinner"]).filter((k) => MEAL_KEYS.includes(k));
+  return {
+    name,
+    type,
+    url,
+    times,
+    meals,
+    photos: raw.photos !== false,
+    lang: raw.lang === "en" ? "en" : "ko",
+    dayOffset: Number(raw.dayOffset) || 0,
+    sendEmpty: raw.sendEmpty === true,
+    changes: raw.changes === true,
+    retries: Math.max(1, Math.min(10, Number(raw.retries) || 3)),
+    enabled: raw.enabled !== false,
   };
+}
 
-  // Prefer a candidate that appears *after* the meal label marker
-  // inside a tight scope to avoid mixing meals (e.g., lunch -> breakfast photo).
-  const pickAfterMarker = ($marker, $scope) => {
-    if (!$marker || !$scope || $marker.length === 0 || $scope.length === 0) return null;
-    const markerEl = $marker.get(0);
-    if (!markerEl) return null;
+function loadDigestConfig() {
+  let stat;
+  try {
+    stat = fs.statSync(DIGEST_CONFIG_FILE);
+  } catch {
+    digestConfig = { mtimeMs: -1, targets: [] };
+    return false;
+  }
+  if (stat.mtimeMs === digestConfig.mtimeMs) return false;
 
-    const nodes = $scope.find("*").toArray();
-    const idx = nodes.findIndex((n) => n === markerEl);
-    if (idx < 0) return null;
+  const targets = [];
+  try {
+    const raw = JSON.parse(fs.readFileSync(DIGEST_CONFIG_FILE, "utf8"));
+    const seen = new Set();
+    for (const t of (Array.isArray(raw) ? raw : raw?.targets || []).map(normalizeDigestTarget)) {
+      if (!t || seen.has(t.name)) continue;
+      seen.add(t.name);
+      targets.push(t);
+    }
+  } catch (e) {
+    console.error("[digest-config-error]", DIGEST_CONFIG_FILE, e?.message || e);
+    return false; // keep the previous targets until the file is fixed
+  }
+  digestConfig = { mtimeMs: stat.mtimeMs, targets };
+  return true;
+}
 
-    for (let i = idx + 1; i < nodes.length; i++) {
-      const n = nodes[i];
-      if (!n || !n.name) continue;
-      const $n = $(n);
-      const tag = String(n.name || "").toLowerCase();
+function digestTarget(name) {
+  return digestConfig.targets.find((t) => t.name === name) || null;
+}
 
-      if (tag === "a") {
-        const href = $n.attr("href") || "";
-        const onclick = $n.attr("onclick") || "";
-        const cand = extractPopupOrPath(href) || extractPopupOrPath(onclick);
-        if (cand && looksLikeFood(cand)) return toAbs(cand);
-      }
+function syncDigestJobs() {
+  // (Re)schedule one job per enabled target; removed/disabled targets lose their job
+  const changed = loadDigestConfig();
+  const wanted = new Set();
+  for (const target of digestConfig.targets) {
+    if (!target.enabled || target.times.length === 0) continue;
+    const jobName = `digest:${target.name}`;
+    wanted.add(jobName);
+    const job = scheduledJobs.get(jobName);
+    if (job && job.times.join() === target.times.join()) continue;
+    unscheduleJob(jobName);
+    scheduleJob({
+      name: jobName,
+      times: target.times,
+      run: () => upstreamContext.run({ priority: "background" }, () => runDigest(target.name, { trigger: "schedule" })),
+    });
+  }
+  for (const name of scheduledJobs.keys()) {
+    if (name.startsWith("digest:") && !wanted.has(name)) unscheduleJob(name);
+  }
+  if (changed) console.log("[digest] targets", digestConfig.targets.map((t) => `${t.name}(${t.type} ${t.times.join(",")})`));
+}
 
-      if (tag === "img") {
-        const src = $n.attr("src") || $n.attr("data-src") || $n.attr("data-original") || "";
-        const cand = extractPopupOrPath(src) || src;
-        if (cand && looksLikeFood(cand)) return toAbs(cand);
+async function digestMeals(ymd, target) {
+  // -> { ymd, info, meals: [{ key, label, lines, dishes, kcal, photoUrl }] }
+  const info = await fetchDayMealsOrArchive(ymd);
+  const meals = [];
+  for (const key of target.meals) {
+    if (!info?.[key]) continue;
+    let photoUrl = null;
+    if (target.photos && key !== "late") {
+      const raw = await webPhotoUrl(ymd, key, info);
+      photoUrl = raw ? proxiedImageUrl(raw, null) : null;
+    }
+    meals.push({
+      key,
+      label: mealLabel(key, target.lang),
+      lines: [
+        ...formatMenuText(info[key], { lang: target.lang }).split("\n"),
+        ...(info.changes?.[key] ? [t(target.lang, "menu.changed", { change: menuChangeText(info.changes[key], target.lang) })] : []),
+      ],
+      dishes: parseDishes(info[key]),
+      kcal: info.nutrition?.[key]?.kcal ?? null,
+      photoUrl,
+    });
+  }
+  return { ymd, info, meals };
+}
+
+function digestTitle(ymd, lang) {
+  const weekdays = t(lang, "web.weekdays").split(",");
+  return t(lang, "digest.title", { date: prettyYmd(ymd), day: weekdays[ymdToDate(ymd).getUTCDay()] });
+}
+
+function renderDigest(digest, target) {
+  // Webhook body for the target type
+  const { ymd, info, meals } = digest;
+  const lang = target.lang;
+  const title = digestTitle(ymd, lang);
+  const reason = meals.length ? "" : noMenuReason(ymd, lang) || t(lang, "menu.noMeals");
+  const mealText = (m) => `${m.lines.join("\n")}${m.kcal !== null ? `\n🔥 ${Math.round(m.kcal)}kcal` : ""}`;
+  const text = [title, ...meals.map((m) => `• ${m.label}\n${mealText(m)}`), reason].filter(Boolean).join("\n\n");
+
+  if (target.type === "slack") {
+    const blocks = [{ type: "header", text: { type: "plain_text", text: title } }];
+    for (const m of meals) {
+      blocks.push({ type: "section", text: { type: "mrkdwn", text: `*${m.label}*\n${mealText(m)}` } });
+      if (m.photoUrl) blocks.push({ type: "image", image_url: m.photoUrl, alt_text: m.label });
+    }
+    if (reason) blocks.push({ type: "section", text: { type: "mrkdwn", text: reason } });
+    return { text, blocks };
+  }
+  if (target.type === "discord") {
+    const embeds = meals.map((m) => {
+      const embed = { title: m.label, description: truncateText(mealText(m), 4096) };
+      if (m.photoUrl) embed.image = { url: m.photoUrl };
+      return embed;
+    });
+    return { content: reason ? `${title}\n${reason}` : title, embeds: embeds.slice(0, DISCORD_MAX_EMBEDS) };
+  }
+  return {
+    date: prettyYmd(ymd),
+    lang,
+    title,
+    text,
+    source: info?.source || null,
+    noMenuReason: reason || null,
+    meals: meals.map(({ key, label, dishes, kcal, photoUrl }) => ({ meal: key, label, dishes, kcal, photoUrl })),
+  };
+}
+
+function logDigestAttempt(entry) {
+  const entries = digestLog.data.entries;
+  entries.push({ at: Date.now(), ...entry });
+  if (entries.length > DIGEST_LOG_MAX) entries.splice(0, entries.length - DIGEST_LOG_MAX);
+  digestLog.save();
+}
+
+async function deliverDigest(target, body, meta) {
+  // POST with retries (exponential backoff, Retry-After honored); 4xx other than 408/429 is final
+  for (let attempt = 1; attempt <= target.retries; attempt++) {
+    const start = Date.now();
+    try {
+      const resp = await axios.post(target.url, body, { timeout: DIGEST_TIMEOUT_MS, headers: { "Content-Type": "application/json" } });
+      logDigestAttempt({ ...meta, attempt, ok: true, status: resp.status, ms: Date.now() - start });
+      return { ok: true, attempts: attempt, status: resp.status };
+    } catch (e) {
+      const status = e?.response?.status || null;
+      const error = truncateText(`${e?.code || ""} ${e?.message || e}`.trim(), 200);
+      logDigestAttempt({ ...meta, attempt, ok: false, status, error, ms: Date.now() - start });
+      const final = attempt === target.retries || (status >= 400 && status < 500 && status !== 408 && status !== 429);
+      if (final) {
+        const err = new Error(`DIGEST_DELIVERY_FAILED ${target.name}: ${error}`);
+        err.code = "DIGEST_DELIVERY_FAILED";
+        throw err;
       }
+      const retryAfterMs = Number(e?.response?.headers?.["retry-after"]) * 1000;
+      await sleep(retryAfterMs > 0 ? retryAfterMs : DIGEST_RETRY_BASE_MS * 2 ** (attempt - 1));
     }
+  }
+}
 
-    return null;
+async function runDigest(name, { ymd = null, trigger = "manual" } = {}) {
+  syncDigestJobs();
+  const target = digestTarget(name);
+  if (!target) {
+    const err = new Error(`DIGEST_TARGET_NOT_FOUND ${name}`);
+    err.code = "DIGEST_TARGET_NOT_FOUND";
+    throw err;
+  }
+  const day = ymd || kstYmd(Date.now() + target.dayOffset * 86400000);
+  await loadSchoolCalendar(day, day);
+  const digest = await digestMeals(day, target);
+  const meta = { target: target.name, type: target.type, ymd: day, trigger };
+  if (digest.meals.length === 0 && !target.sendEmpty) {
+    logDigestAttempt({ ...meta, attempt: 0, ok: true, skipped: "no menu" });
+    return { target: target.name, ymd: day, skipped: "no menu" };
+  }
+  const result = await deliverDigest(target, renderDigest(digest, target), meta);
+  return { target: target.name, ymd: day, meals: digest.meals.map((m) => m.key), ...result };
+}
+
+function renderMenuChange(ymd, entry, target) {
+  const lang = target.lang;
+  const title = t(lang, "changes.title", { date: prettyYmd(ymd) });
+  const lines = entry.changes.map((c) => `• ${mealLabel(c.meal, lang)}: ${menuChangeText(c, lang)}`);
+  const text = `${title}\n${lines.join("\n")}`;
+  if (target.type === "slack") return { text };
+  if (target.type === "discord") return { content: truncateText(text, 2000) };
+  return {
+    event: "menu.changed",
+    date: prettyYmd(ymd),
+    version: entry.version,
+    source: entry.source,
+    detectedAt: new Date(entry.ts).toISOString(),
+    title,
+    text,
+    changes: entry.changes,
   };
+}
 
-  // DOM-first: find the meal label marker and search in its nearest container.
-  // This avoids the classic bug where "중식" search accidentally grabs the first photo (조식).
-  const findByLabel = (label) => {
-    // Most pages show meal labels as images with alt/title.
-    const markers = $(
-      `img[alt*="${label}"], img[title*="${label}"], span:contains("${label}"), strong:contains("${label}")`
-    ).toArray();
+function notifyMenuChange(ymd, entry) {
+  // Fire-and-forget: runs inside a menu fetch, which must not wait on webhooks
+  if (ymd < kstYmd()) return;
+  loadDigestConfig();
+  for (const target of digestConfig.targets) {
+    if (!target.enabled || !target.changes) continue;
+    const meta = { target: target.name, type: target.type, ymd, trigger: "change", version: entry.version };
+    deliverDigest(target, renderMenuChange(ymd, entry, target), meta).catch((e) => {
+      console.error("[menu-change-notify-failed]", { target: target.name, ymd, code: e?.code, msg: e?.message });
+    });
+  }
+}
 
-    for (const el of markers) {
-      const $m = $(el);
+syncDigestJobs();
+setInterval(syncDigestJobs, 60 * 1000).unref();
+
+app.get("/admin/digest", requireAdmin, (req, res) => {
+  syncDigestJobs();
+  const limit = Math.min(Number(req.query.limit) || 50, DIGEST_LOG_MAX);
+  res.json({
+    configFile: DIGEST_CONFIG_FILE,
+    // Webhook URLs are credentials (Slack/Discord): show only the host
+    targets: digestConfig.targets.map((target) => ({
+      ...target,
+      url: target.url.replace(/^(https?:\/\/[^/]+).*$/, "$1/…"),
+      nextRunAt: scheduledJobs.get(`digest:${target.name}`)?.nextRunAt || null,
+    })),
+    log: digestLog.data.entries.slice(-limit).reverse(),
+  });
+});
 
-      // 1) Tight, directional scopes first (after the marker only)
-      const directionalScopes = [
-        $m.parent(),
-        $m.closest("td"),
-        $m.closest("tr"),
-      ].filter((x) => x && x.length);
+app.post("/admin/digest/:name/send", requireAdmin, async (req, res) => {
+  const ymd = req.query.date ? String(req.query.date) : null;
+  if (ymd && !isValidYmd(ymd)) return res.status(400).json({ error: "INVALID_DATE" });
+  try {
+    res.json(await runDigest(req.params.name, { ymd, trigger: "manual" }));
+  } catch (e) {
+    const status = e?.code === "DIGEST_TARGET_NOT_FOUND" ? 404 : 502;
+    res.status(status).json({ error: e?.code || "DIGEST_FAILED", message: e?.message });
+  }
+});
 
-      for (const sc of directionalScopes) {
-        const url = pickAfterMarker($m, sc);
-        if (url) return url;
-      }
+// ----------------- Favorite-dish alerts -----------------
+// "알림 치킨": every morning (ALERT_TIMES, KST) today's menu is matched against each Kakao user's
+// keywords and matches are pushed through the Kakao channel Event API (Open Builder event block
+// KAKAO_ALERT_EVENT, text in #{event.data.text}). KAKAO_EVENT_API_BASE can point at a local stand-in.
+// Per-user limit: ALERT_USER_DAILY_LIMIT events per KST day; "알림 끄기" opts out.
+const KAKAO_EVENT_API_BASE = (process.env.KAKAO_EVENT_API_BASE || "https://bot-api.kakao.com").replace(/\/+$/, "");
+const KAKAO_BOT_ID = (process.env.KAKAO_BOT_ID || "").trim();
+const KAKAO_REST_API_KEY = (process.env.KAKAO_REST_API_KEY || "").trim();
+const KAKAO_ALERT_EVENT = (process.env.KAKAO_ALERT_EVENT || "menu_alert").trim();
+const ALERTS_ENABLED = process.env.ALERTS_ENABLED !== "0";
+const ALERT_TIMES = parseKstTimes(process.env.ALERT_TIMES || "07:00");
+const ALERT_MAX_KEYWORDS = Number(process.env.ALERT_MAX_KEYWORDS || 10);
+const ALERT_USER_DAILY_LIMIT = Number(process.env.ALERT_USER_DAILY_LIMIT || 1);
+const ALERT_SEND_INTERVAL_MS = Number(process.env.ALERT_SEND_INTERVAL_MS || 200); // pace Event API calls
+const ALERT_HISTORY_DAYS = 7;
+
+// userId -> [{ ts, ymd, keywords }]
+const alertStore = createJsonStore("alert-deliveries.json", { sent: {} });
+
+function alertKeywordsFrom(text) {
+  // "치킨, 마라탕" -> ["치킨", "마라탕"]; keywords are 1-20 chars
+  return [
+    ...new Set(
+      String(text || "")
+        .split(/[,，]/)
+        .map((w) => w.trim().replace(/\s+/g, " "))
+        .filter((w) => w.length >= 1 && w.length <= 20)
+    ),
+  ];
+}
 
-      // Try several reasonable containers, from tight to broad
-      const scopes = [
-        $m.parent(),
-        $m.closest(".meal, .lunch, .lunch_list, .food, .menu, .tbl, .box, td, tr"),
-        $m.closest("td"),
-        $m.closest("tr"),
-      ].filter((x) => x && x.length);
+async function sendKakaoEvent(userIds, eventName, data) {
+  if (!KAKAO_BOT_ID || !KAKAO_REST_API_KEY) {
+    const err = new Error("KAKAO_EVENT_NOT_CONFIGURED set KAKAO_BOT_ID and KAKAO_REST_API_KEY");
+    err.code = "KAKAO_EVENT_NOT_CONFIGURED";
+    throw err;
+  }
+  const resp = await axios.post(
+    `${KAKAO_EVENT_API_BASE}/v2/bots/${encodeURIComponent(KAKAO_BOT_ID)}/talk`,
+    { event: { name: eventName, data }, user: userIds.map((id) => ({ type: "botUserKey", id })) },
+    { timeout: 10000, headers: { Authorization: `KakaoAK ${KAKAO_REST_API_KEY}`, "Content-Type": "application/json" } }
+  );
+  if (resp.data?.status && resp.data.status !== "SUCCESS") {
+    const err = new Error(`KAKAO_EVENT_FAILED ${resp.data.status} ${resp.data.message || ""}`.trim());
+    err.code = "KAKAO_EVENT_FAILED";
+    throw err;
+  }
+  return resp.data;
+}
 
-      for (const sc of scopes) {
-        const url = pickFromScope(sc);
-        if (url) return url;
-      }
+function alertMatches(info, keywords) {
+  // -> [{ meal, dish, keyword }] for today's menu
+  const hits = [];
+  for (const meal of MEAL_KEYS) {
+    for (const line of String(info?.[meal] || "").split("\n")) {
+      const keyword = keywords.find((w) => dishScore(w, line) > 0);
+      if (keyword && line.trim()) hits.push({ meal, dish: parseDish(line).name, keyword });
     }
+  }
+  return hits;
+}
 
-    return null;
-  };
+function alertsSentOn(userId, ymd) {
+  return (alertStore.data.sent[userId] || []).filter((e) => e.ymd === ymd).length;
+}
 
-  const result = { breakfast: null, lunch: null, dinner: null };
+function recordAlertSent(userId, ymd, keywords) {
+  const cutoff = Date.now() - ALERT_HISTORY_DAYS * 86400000;
+  const history = (alertStore.data.sent[userId] || []).filter((e) => e.ts >= cutoff);
+  history.push({ ts: Date.now(), ymd, keywords });
+  alertStore.data.sent[userId] = history;
+  alertStore.save();
+}
 
-  // 1) Label-scoped extraction (most accurate)
-  result.breakfast = findByLabel("조식");
-  result.lunch = findByLabel("중식");
-  result.dinner = findByLabel("석식");
+async function runAlerts(ymd = kstYmd()) {
+  // Kakao users only: Telegram/Discord profiles carry a "channel:" prefix
+  const subscribers = Object.entries(userStore.data.users).filter(
+    ([id, p]) => !id.includes(":") && !p.alertsOff && (p.alertKeywords || []).length > 0
+  );
+  const result = { ymd, subscribers: subscribers.length, matched: 0, sent: 0, rateLimited: 0, failed: 0 };
+  if (subscribers.length === 0) return result;
+
+  const info = await fetchDayMealsOrArchive(ymd);
+  for (const [userId, profile] of subscribers) {
+    const hits = alertMatches(info, profile.alertKeywords);
+    if (hits.length === 0) continue;
+    result.matched += 1;
+    if (alertsSentOn(userId, ymd) >= ALERT_USER_DAILY_LIMIT) {
+      result.rateLimited += 1;
+      continue;
+    }
 
-  // 2) Conservative fallback:
-  // Only use order-based fill when *all* label matches failed.
-  // If some labels matched and others didn't, do not cross-fill missing meals
-  // (prevents lunch/dinner from accidentally reusing breakfast photo).
-  const anyLabelMatched = Boolean(result.breakfast || result.lunch || result.dinner);
-  if (anyLabelMatched) return result;
+    const lang = profile.lang || "ko";
+    const lines = hits.map((h) => `• ${mealLabel(h.meal, lang)}: ${lang === "en" ? translateDish(h.dish) : h.dish} (${h.keyword})`);
+    const text = t(lang, "alert.message", { date: prettyYmd(ymd), lines: lines.join("\n") });
+    const keywords = [...new Set(hits.map((h) => h.keyword))];
+    try {
+      await sendKakaoEvent([userId], KAKAO_ALERT_EVENT, { text, date: prettyYmd(ymd), keywords: keywords.join(", ") });
+      recordAlertSent(userId, ymd, keywords);
+      result.sent += 1;
+    } catch (e) {
+      result.failed += 1;
+      console.error("[alert-send-failed]", { code: e?.code, status: e?.response?.status, msg: e?.message });
+      if (e?.code === "KAKAO_EVENT_NOT_CONFIGURED") break;
+    }
+    await sleep(ALERT_SEND_INTERVAL_MS);
+  }
+  console.log("[alerts]", result);
+  if (result.failed > 0 && result.sent === 0) {
+    const err = new Error(`ALERTS_FAILED ${result.failed} of ${result.matched} matched users`);
+    err.code = "ALERTS_FAILED";
+    throw err;
+  }
+  return result;
+}
 
-  // No labels matched at all -> fill by appearance order as last resort.
-  const ordered = [];
-  $("a").each((_, a) => {
-    const $a = $(a);
-    const href = $a.attr("href") || "";
-    const onclick = $a.attr("onclick") || "";
-    const cand = extractPopupOrPath(href) || extractPopupOrPath(onclick);
-    if (cand && looksLikeFood(cand)) ordered.push(toAbs(cand));
+if (ALERTS_ENABLED && ALERT_TIMES.length > 0) {
+  scheduleJob({
+    name: "alerts",
+    times: ALERT_TIMES,
+    run: () => upstreamContext.run({ priority: "background" }, () => runAlerts()),
   });
-  $("img").each((_, img) => {
-    const $img = $(img);
-    const src = $img.attr("src") || $img.attr("data-src") || $img.attr("data-original") || "";
-    const cand = extractPopupOrPath(src) || src;
-    if (cand && looksLikeFood(cand)) ordered.push(toAbs(cand));
+}
+
+// ----------------- Photo watcher -----------------
+// Meal photos go up on HAFS some time after serving starts. During each of today's serving
+// windows the day page is polled with backoff (PHOTO_WATCH_BASE_MIN doubling up to
+// PHOTO_WATCH_MAX_MIN, starting a little before the usual upload time once we know it) until
+// the photo shows up or PHOTO_WATCH_GIVE_UP_MIN after the window ends. First sightings, from
+// the watcher or from a user's "사진" request, are kept for the "보통 13:10쯤" hint, and Kakao
+// users who asked "사진 올라오면 알려줘" get the photo through the Event API.
+const PHOTO_WATCH_ENABLED = process.env.PHOTO_WATCH_ENABLED !== "0" && MENU_PROVIDER_ORDER.includes("hafs");
+const PHOTO_WATCH_BASE_MIN = Number(process.env.PHOTO_WATCH_BASE_MIN || 5);
+const PHOTO_WATCH_MAX_MIN = Number(process.env.PHOTO_WATCH_MAX_MIN || 30);
+const PHOTO_WATCH_GIVE_UP_MIN = Number(process.env.PHOTO_WATCH_GIVE_UP_MIN || 240);
+const PHOTO_HISTORY_DAYS = Number(process.env.PHOTO_HISTORY_DAYS || 30);
+const PHOTO_HISTORY_MIN_SAMPLES = 3;
+const KAKAO_PHOTO_EVENT = (process.env.KAKAO_PHOTO_EVENT || "photo_alert").trim();
+const PHOTO_MEALS = ["breakfast", "lunch", "dinner"];
+
+// seen: "YYYYMMDD|meal" -> epoch ms of the first sighting; subs: "YYYYMMDD|meal" -> [userId]
+const photoWatchStore = createJsonStore("photo-watch.json", { seen: {}, subs: {} });
+const photoWatchState = new Map(); // "YYYYMMDD|meal" -> { attempts, nextAt, lastCheckAt }
+const photoNotifyState = new Map(); // "YYYYMMDD|meal" -> { running, nextAt } for subscriber retries
+
+function kstMinutesOf(ms) {
+  const d = kstDate(ms);
+  return d.getUTCHours() * 60 + d.getUTCMinutes();
+}
+
+function photoTypicalMinutes(meal) {
+  // Median first-sighting time (minutes after KST midnight) over the last PHOTO_HISTORY_DAYS
+  const cutoff = kstYmd(Date.now() - PHOTO_HISTORY_DAYS * 86400000);
+  const samples = Object.entries(photoWatchStore.data.seen)
+    .filter(([key]) => key.endsWith(`|${meal}`) && key.slice(0, 8) >= cutoff)
+    .map(([, ts]) => kstMinutesOf(ts))
+    .sort((a, b) => a - b);
+  if (samples.length < PHOTO_HISTORY_MIN_SAMPLES) return null;
+  const mid = samples.length >> 1;
+  const median = samples.length % 2 ? samples[mid] : Math.round((samples[mid - 1] + samples[mid]) / 2);
+  return Math.round(median / 5) * 5;
+}
+
+function photoWatchWindow(ymd, meal) {
+  // -> { from, until } in KST minutes, or null when the meal isn't on today's menu
+  const w = mealWindowsFor(ymd)[meal];
+  const archived = menuArchive.data.days[ymd];
+  if (!w || !archived?.[meal]) return null;
+  const typical = photoTypicalMinutes(meal);
+  const from = typical !== null ? Math.max(w.start, Math.round(typical - 2 * PHOTO_WATCH_BASE_MIN)) : w.start;
+  return { from, until: w.end + PHOTO_WATCH_GIVE_UP_MIN };
+}
+
+function notePhotoSeen(ymd, meal, url) {
+  // Called whenever a photo URL is found; only same-day sightings say when photos go up
+  const key = `${ymd}|${meal}`;
+  if (ymd !== kstYmd() || photoWatchStore.data.seen[key]) return;
+  photoWatchStore.data.seen[key] = Date.now();
+  const cutoff = kstYmd(Date.now() - 2 * PHOTO_HISTORY_DAYS * 86400000);
+  for (const k of Object.keys(photoWatchStore.data.seen)) {
+    if (k.slice(0, 8) < cutoff) delete photoWatchStore.data.seen[k];
+  }
+  photoWatchStore.save();
+  console.log("[photo-seen]", { ymd, meal, at: formatHm(kstMinutesOf(Date.now())) });
+  notifyPhotoSubscribers(ymd, meal, url).catch((e) => {
+    console.error("[photo-notify-failed]", { ymd, meal, code: e?.code, msg: e?.message });
   });
+}
 
-  const seen = new Set();
-  const uniq = [];
-  for (const u of ordered) {
-    if (!u) continue;
-    if (u.includes("no_foodimg")) continue;
-    if (seen.has(u)) continue;
-    seen.add(u);
-    uniq.push(u);
+async function notifyPhotoSubscribers(ymd, meal, url) {
+  // Subscribers are removed per batch once its event went out; failed batches stay for the next
+  // watcher tick (retryPhotoNotifications)
+  const key = `${ymd}|${meal}`;
+  const userIds = photoWatchStore.data.subs[key] || [];
+  const st = photoNotifyState.get(key) || { running: false, nextAt: 0 };
+  photoNotifyState.set(key, st);
+  if (userIds.length === 0 || st.running) return;
+  st.running = true;
+  st.nextAt = Date.now() + PHOTO_WATCH_BASE_MIN * 60000;
+
+  // One event per language; the Event API takes up to 100 users per call
+  const byLang = new Map();
+  for (const id of userIds) {
+    const lang = getUserProfile(id).lang || "ko";
+    byLang.set(lang, [...(byLang.get(lang) || []), id]);
+  }
+  let sent = 0;
+  let firstErr = null;
+  try {
+    for (const [lang, ids] of byLang) {
+      const label = mealLabel(meal, lang);
+      const text = t(lang, "photoWatch.ready", { date: prettyYmd(ymd), meal: lang === "en" ? label.toLowerCase() : label });
+      for (let i = 0; i < ids.length; i += 100) {
+        const batch = ids.slice(i, i + 100);
+        try {
+          await sendKakaoEvent(batch, KAKAO_PHOTO_EVENT, { text, imageUrl: proxiedImageUrl(url, null), date: prettyYmd(ymd), meal });
+        } catch (e) {
+          firstErr ||= e;
+          continue;
+        }
+        sent += batch.length;
+        const left = (photoWatchStore.data.subs[key] || []).filter((id) => !batch.includes(id));
+        if (left.length) photoWatchStore.data.subs[key] = left;
+        else delete photoWatchStore.data.subs[key];
+        photoWatchStore.save();
+      }
+    }
+  } finally {
+    st.running = false;
   }
+  console.log("[photo-notified]", { ymd, meal, users: sent, pending: (photoWatchStore.data.subs[key] || []).length });
+  if (firstErr) throw firstErr;
+}
 
-  for (let i = 0; i < 3; i++) {
-    const meal = i === 0 ? "breakfast" : i === 1 ? "lunch" : "dinner";
-    if (uniq[i]) result[meal] = uniq[i];
+function retryPhotoNotifications(ymd, nowMs = Date.now()) {
+  // Subscribers whose batch failed when the photo was first seen; earlier days are given up
+  for (const key of Object.keys(photoWatchStore.data.subs)) {
+    if (key.slice(0, 8) >= ymd) continue;
+    console.error("[photo-notify-expired]", { key, users: photoWatchStore.data.subs[key].length });
+    delete photoWatchStore.data.subs[key];
+    photoWatchStore.save();
+  }
+  for (const key of photoNotifyState.keys()) {
+    if (!key.startsWith(ymd)) photoNotifyState.delete(key);
+  }
+  for (const meal of PHOTO_MEALS) {
+    const key = `${ymd}|${meal}`;
+    const url = photoWatchStore.data.seen[key] && photoWatchStore.data.subs[key]?.length ? peekMealPhotoUrl(ymd, meal) : null;
+    if (!url || nowMs < (photoNotifyState.get(key)?.nextAt || 0)) continue;
+    notifyPhotoSubscribers(ymd, meal, url).catch((e) => {
+      console.error("[photo-notify-failed]", { ymd, meal, code: e?.code, msg: e?.message });
+    });
   }
+}
 
-  return result;
+async function checkMealPhotos(ymd, meals) {
+  // One day-page fetch answers every meal at once; the usual 5-minute page cache would hide new photos
+  const html = await fetchDayInfo(ymd, 60 * 1000);
+  const links = extractPhotoLinksFromHtml(html);
+  const found = [];
+  for (const meal of meals) {
+    if (!links?.[meal]) continue;
+    const url = await fetchMealPhotoUrl(ymd, meal); // normalizes + caches; calls notePhotoSeen
+    if (url) found.push(meal);
+  }
+  return found;
 }
 
-async function fetchMealPhotoUrl(ymd, mealKey) {
-  // versioned cache key to avoid serving stale cross-mapped entries
-  const key = `v2|${ymd}|${mealKey}`;
-  const cached = photoUrlCache.get(key);
-  const now = Date.now();
+async function photoWatchTick(nowMs = Date.now()) {
+  const ymd = kstYmd(nowMs);
+  const minutes = kstMinutesOf(nowMs);
+  retryPhotoNotifications(ymd, nowMs);
+  const due = [];
+  for (const meal of PHOTO_MEALS) {
+    const key = `${ymd}|${meal}`;
+    if (photoWatchStore.data.seen[key]) continue;
+    const win = photoWatchWindow(ymd, meal);
+    if (!win || minutes < win.from || minutes > win.until) continue;
+    const st = photoWatchState.get(key) || { attempts: 0, nextAt: 0, lastCheckAt: null };
+    photoWatchState.set(key, st);
+    if (nowMs >= st.nextAt) due.push(meal);
+  }
+  if (due.length === 0) return;
+
+  let found = [];
+  try {
+    found = await upstreamContext.run({ priority: "background" }, () => checkMealPhotos(ymd, due));
+  } catch (e) {
+    console.error("[photo-watch-failed]", { ymd, meals: due, code: e?.code, msg: e?.message });
+  }
+  for (const meal of due) {
+    const st = photoWatchState.get(`${ymd}|${meal}`);
+    st.lastCheckAt = nowMs;
+    if (found.includes(meal)) continue;
+    st.attempts += 1;
+    const waitMin = Math.min(PHOTO_WATCH_MAX_MIN, PHOTO_WATCH_BASE_MIN * 2 ** (st.attempts - 1));
+    st.nextAt = nowMs + waitMin * 60000;
+  }
+  for (const key of photoWatchState.keys()) {
+    if (!key.startsWith(ymd)) photoWatchState.delete(key);
+  }
+}
 
-  if (cached && now - cached.ts < PHOTO_URL_TTL_MS) {
-    return cached.url || null;
+function unsubscribePhotoWatch(userId) {
+  let changed = false;
+  for (const [key, ids] of Object.entries(photoWatchStore.data.subs)) {
+    if (!ids.includes(userId)) continue;
+    const left = ids.filter((id) => id !== userId);
+    if (left.length) photoWatchStore.data.subs[key] = left;
+    else delete photoWatchStore.data.subs[key];
+    changed = true;
   }
+  if (changed) photoWatchStore.save();
+}
 
-  const html = await fetchDayInfo(ymd);
-  const map = extractPhotoLinksFromHtml(html);
-  let url = map?.[mealKey] || null;
-  console.log("[PHOTO MAP]", {
-    ymd,
-    mealKey,
-    picked: url || null,
-    breakfast: map?.breakfast || null,
-    lunch: map?.lunch || null,
-    dinner: map?.dinner || null,
-  });
+function pickPhotoMeal(ymd, nowMs = Date.now()) {
+  // "사진 올라오면 알려줘" without a meal: the latest meal that has started, else the next one
+  const windows = mealWindowsFor(ymd);
+  const minutes = kstMinutesOf(nowMs);
+  const started = PHOTO_MEALS.filter((m) => windows[m] && windows[m].start <= minutes);
+  return started.length ? started[started.length - 1] : "breakfast";
+}
 
-  // Normalize HAFS popup URL (act=lunch.image_pop&img=...) -> direct image URL
-  const normalizePopupToDirect = (input) => {
-    if (!input) return null;
-    try {
-      const u = new URL(String(input));
-      const act = String(u.searchParams.get("act") || "").toLowerCase();
-      const img = u.searchParams.get("img");
-      if (act.includes("lunch.image_pop") && img) {
-        const decoded = decodeURIComponent(img);
-        const preferredScheme = "http"; // NitroEye blocks https more often
-        if (/^https?:\/\//i.test(decoded)) {
-          return decoded.replace(/^https:\/\//i, `${preferredScheme}://`).replace(/^http:\/\//i, `${preferredScheme}://`);
-        }
-        if (decoded.startsWith("/")) return `${preferredScheme}://${HAFS_HOST}${decoded}`;
-        return `${preferredScheme}://${HAFS_HOST}/${decoded}`;
-      }
+function photoNotYetText(ymd, meal, lang) {
+  // "아직 사진이 없어요 — 보통 13:10쯤 올라와요" for today when we've seen enough uploads
+  const typical = ymd >= kstYmd() ? photoTypicalMinutes(meal) : null;
+  return typical !== null ? t(lang, "photoWatch.notYet", { time: formatHm(typical) }) : t(lang, "photo.none");
+}
 
-      // Prefer http for direct HAFS image paths
-      if (u.hostname === HAFS_HOST && /^https:\/\//i.test(String(input))) {
-        return String(input).replace(/^https:\/\//i, "http://");
-      }
-    } catch {
-      // ignore
-    }
-    return input;
-  };
+function photoWatchButton(ymd, meal, lang) {
+  const mealWord = { breakfast: "아침", lunch: "점심", dinner: "저녁" }[meal];
+  return { label: t(lang, "qr.photoWatch"), text: lang === "en" ? `photo alert ${ymd} ${meal}` : `사진 알림 ${ymd} ${mealWord}` };
+}
 
-  url = normalizePopupToDirect(url);
+async function photoWatchReply(userId, ymd, meal, lang, req) {
+  // userId is only passed for Kakao users: notifications go out through the Kakao Event API
+  if (!userId) return textReply(t(lang, "photoWatch.kakaoOnly"), null);
+  const today = kstYmd();
+  if (ymd !== today) return textReply(t(lang, "photoWatch.todayOnly"), null);
+  const mealKey = meal || pickPhotoMeal(ymd);
+  const label = mealLabel(mealKey, lang);
+  const mealWord = lang === "en" ? label.toLowerCase() : label;
 
-  // If we still don't have a plausible URL, return null
-  if (!url || !/^https?:\/\//i.test(url)) return null;
+  let url = null;
+  try {
+    url = await fetchMealPhotoUrl(ymd, mealKey);
+  } catch (e) {
+    console.error("[photo-fetch-failed]", { ymd, mealKey, code: e?.code, msg: e?.message });
+  }
+  if (url) {
+    const title = t(lang, "photo.title", { date: prettyYmd(ymd), meal: label });
+    return imageReply(title, proxiedImageUrl(url, req), title, null);
+  }
 
-  // NOTE: We intentionally do NOT "HEAD-validate" the upstream image here.
-  // Reason: HAFS/NitroEye frequently blocks HEAD/HTTPS or requires cookies,
-  // which causes false negatives like "식단 사진이 없습니다." even when the photo exists.
-  // The /img proxy already handles popup->direct extraction, HTTP preference, cookies, and fallback.
+  const w = mealWindowsFor(ymd)[mealKey];
+  if (w && kstMinutesOf(Date.now()) > w.end + PHOTO_WATCH_GIVE_UP_MIN) {
+    return textReply(t(lang, "photoWatch.tooLate", { meal: mealWord }), null);
+  }
+  const key = `${ymd}|${mealKey}`;
+  const subs = photoWatchStore.data.subs[key] || [];
+  if (!subs.includes(userId)) {
+    photoWatchStore.data.subs[key] = [...subs, userId];
+    photoWatchStore.save();
+  }
+  const typical = photoTypicalMinutes(mealKey);
+  const hint = typical !== null ? t(lang, "photoWatch.usually", { time: formatHm(typical) }) : "";
+  return textReply(t(lang, "photoWatch.subscribed", { meal: mealWord, hint }), null);
+}
 
-  // Cache and return
-  photoUrlCache.set(key, { url, ts: now });
-  return url;
+if (PHOTO_WATCH_ENABLED) {
+  setInterval(() => {
+    photoWatchTick().catch((e) => console.error("[photo-watch-failed]", { msg: e?.message }));
+  }, 60 * 1000).unref();
 }
 
-const photoUrlCache = new Map();
-const PHOTO_URL_TTL_MS = 30 * 60 * 1000;
+app.get("/admin/photo-watch", requireAdmin, (req, res) => {
+  const ymd = kstYmd();
+  res.json({
+    enabled: PHOTO_WATCH_ENABLED,
+    today: PHOTO_MEALS.map((meal) => {
+      const key = `${ymd}|${meal}`;
+      const st = photoWatchState.get(key);
+      const win = photoWatchWindow(ymd, meal);
+      return {
+        meal,
+        window: win ? { from: formatHm(win.from), until: formatHm(Math.min(win.until, 1439)) } : null,
+        seenAt: photoWatchStore.data.seen[key] || null,
+        attempts: st?.attempts || 0,
+        nextCheckAt: st?.nextAt || null,
+        subscribers: (photoWatchStore.data.subs[key] || []).length,
+      };
+    }),
+    typical: Object.fromEntries(PHOTO_MEALS.map((meal) => [meal, photoTypicalMinutes(meal) !== null ? formatHm(photoTypicalMinutes(meal)) : null])),
+  });
+});
 
+// ----------------- iCalendar feed -----------------
+// GET /calendar.ics?meals=lunch,dinner&weeks=2
+// One VEVENT per meal; UIDs are derived from date+meal so clients update instead of duplicating.
+const ICS_MEAL_TIMES = parseMealTimes(
+  process.env.ICS_MEAL_TIMES || "breakfast=07:00-08:00,lunch=12:00-13:00,dinner=17:30-18:30,late=21:30-22:00"
+);
+const ICS_DEFAULT_WEEKS = 2;
+const ICS_MAX_WEEKS = 8;
+
+function icsEscape(text) {
+  return String(text || "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
 
-function resolvePublicBaseUrl(req) {
-  if (BASE_URL) return BASE_URL.replace(/\/+$/, "");
-  const protoHeader = String(req?.headers?.["x-forwarded-proto"] || "").split(",")[0].trim();
-  const hostHeader = String(req?.headers?.["x-forwarded-host"] || req?.headers?.host || "").split(",")[0].trim();
-  const proto = protoHeader || req?.protocol || "https";
-  if (!hostHeader) return "https://hafs-cafeteria.onrender.com";
-  return `${proto}://${hostHeader}`.replace(/\/+$/, "");
+function icsFold(line) {
+  // RFC 5545: lines longer than 75 octets are folded (CRLF + space), without splitting UTF-8 chars
+  const out = [];
+  let cur = "";
+  let curBytes = 0;
+  for (const ch of line) {
+    const b = Buffer.byteLength(ch);
+    if (curBytes + b > (out.length ? 74 : 75)) {
+      out.push(cur);
+      cur = "";
+      curBytes = 0;
+    }
+    cur += ch;
+    curBytes += b;
+  }
+  out.push(cur);
+  return out.join("\r\n ");
 }
 
-function proxiedImageUrl(rawUrl, req) {
-  if (!rawUrl) return null;
-  const base = resolvePublicBaseUrl(req);
-  return `${base}/img?url=${encodeURIComponent(rawUrl)}`;
+function icsUtc(ymd, minutesKst) {
+  // KST wall clock -> UTC "YYYYMMDDTHHMMSSZ"
+  const ts = Date.UTC(+ymd.slice(0, 4), +ymd.slice(4, 6) - 1, +ymd.slice(6, 8), 0, minutesKst) - KST_OFFSET_MS;
+  return new Date(ts).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
 }
 
-function mealKo(meal) {
-  if (meal === "breakfast") return "조식";
-  if (meal === "lunch") return "중식";
-  if (meal === "dinner") return "석식";
-  return "전체";
+function buildMealCalendar(rangeMap, meals) {
+  const dtstamp = new Date().toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//hafs-cafeteria//meals//KO",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    "X-WR-CALNAME:HAFS 급식",
+    "X-WR-TIMEZONE:Asia/Seoul",
+    "REFRESH-INTERVAL;VALUE=DURATION:PT6H",
+    "X-PUBLISHED-TTL:PT6H",
+  ];
+
+  for (const ymd of [...rangeMap.keys()].sort()) {
+    const info = rangeMap.get(ymd) || {};
+    for (const mealKey of meals) {
+      const text = info[mealKey];
+      const time = ICS_MEAL_TIMES[mealKey];
+      if (!text || !time) continue;
+      const dishes = parseDishes(text).map((d) => d.name);
+      const label = mealKey === "late" ? "야식" : mealKo(mealKey);
+      const main = dishes.find((d) => !/^(쌀|흑미|현미|잡곡|기장|보리|찹쌀|백미|귀리|수수|차조)?밥$|김치|깍두기|우유|요구르트/.test(d)) || dishes[0] || "";
+      lines.push(
+        "BEGIN:VEVENT",
+        `UID:${ymd}-${mealKey}@hafs-cafeteria`,
+        `DTSTAMP:${dtstamp}`,
+        `DTSTART:${icsUtc(ymd, time.start)}`,
+        `DTEND:${icsUtc(ymd, time.end)}`,
+        `SUMMARY:${icsEscape(`🍽 ${label}${main ? ` - ${main}` : ""}`)}`,
+        `DESCRIPTION:${icsEscape(dishes.join("\n"))}`,
+        "TRANSP:TRANSPARENT",
+        "END:VEVENT"
+      );
+    }
+  }
+
+  lines.push("END:VCALENDAR");
+  return lines.map(icsFold).join("\r\n") + "\r\n";
 }
 
-// ----------------- Routes -----------------
-app.get("/", (req, res) => {
-  res.status(200).send("✅ HAFS cafeteria bot (rebuild) running. POST /kakao");
-});
+app.get("/calendar.ics", async (req, res) => {
+  const meals = String(req.query.meals || "breakfast,lunch,dinner")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter((s) => MEAL_KEYS.includes(s));
+  if (meals.length === 0) return res.status(400).type("text/plain").send("meals must list breakfast, lunch, dinner or late");
 
-app.get("/health", (req, res) => {
-  res.json({ ok: true });
+  const weeksRaw = Number(req.query.weeks || ICS_DEFAULT_WEEKS);
+  const weeks = Math.min(ICS_MAX_WEEKS, Math.max(1, Number.isFinite(weeksRaw) ? Math.floor(weeksRaw) : ICS_DEFAULT_WEEKS));
+  const from = kstYmd();
+  const to = kstYmd(Date.now() + (weeks * 7 - 1) * 86400000);
+
+  try {
+    // Subscribed calendars poll anonymously: same per-day fallback cap as the JSON API
+    const rangeMap = await fetchMonthMapForRangeOrArchive(from, to, { dayFallbackMax: API_DAY_FALLBACK_MAX });
+    res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+    res.setHeader("Content-Disposition", 'inline; filename="hafs-meals.ics"');
+    res.setHeader("Cache-Control", "public, max-age=1800");
+    return res.status(200).send(buildMealCalendar(rangeMap, meals));
+  } catch (e) {
+    console.error("[ics-failed]", { code: e?.code, msg: e?.message });
+    res.setHeader("Retry-After", "300");
+    return res.status(503).type("text/plain").send("Menu source unavailable");
+  }
 });
 
 // NOTE:
@@ -1662,186 +5470,629 @@ app.get("/img", async (req, res) => {
     return sendTransparentPng(res);
   }
 });
-// Kakao webhook handler (shared by /kakao and /menu)
-async function handleKakaoWebhook(req, res) {
+// Answers one user message with a channel-neutral reply ({ blocks, buttons }, see "Bot replies");
+// the Kakao, Telegram and Discord routes render it with renderKakao / renderTelegram / renderDiscord.
+// `channel` is logged and lets Kakao-only features opt in. Never throws.
+async function buildReply({ channel = "kakao", utterance = "", userId = "", req = null } = {}) {
+  let lang = "ko";
   try {
-    const utter = sanitizeUtterance(req?.body?.userRequest?.utterance || "");
-    const rawUtter = String(req?.body?.userRequest?.utterance || "");
-    console.log("[KAKAO UTTER]", { raw: rawUtter, utter });
+    const utter = sanitizeUtterance(utterance);
+    console.log("[UTTER]", { channel, raw: String(utterance), utter });
 
     // ✅ Hard-guard: if this is a photo command, handle it immediately.
     // Kakao sometimes sends separators that look like pipes (|/｜/ㅣ) or includes odd characters.
     // We normalize in `parseUtter`, but this early guard prevents falling into the default menu response.
     const maybePhoto = parseUtter(utter);
+    const profile = getUserProfile(userId);
+    const fmt = profileFormat(profile);
+    // An English utterance gets an English answer even without the language setting
+    lang = maybePhoto.lang || profile.lang || "ko";
+    fmt.lang = lang;
+
     if (maybePhoto.meal === "photo" && maybePhoto.when === "photo") {
       const ymd = maybePhoto.photoYmd;
       const mealKey = maybePhoto.photoMeal;
       try {
-        const rawUrl = await fetchMealPhotoUrl(ymd, mealKey);
-        if (!rawUrl) return res.json(kakaoText("식단 사진이 없습니다.", null));
+        let rawUrl;
+        try {
+          rawUrl = await fetchMealPhotoUrl(ymd, mealKey);
+        } catch (e) {
+          rawUrl = isUpstreamOutage(e) ? archivedMealPhotoUrl(ymd, mealKey) : null;
+          if (!rawUrl) throw e;
+        }
+        if (!rawUrl) {
+          const watchable = channel === "kakao" && PHOTO_WATCH_ENABLED && ymd === kstYmd();
+          return textReply(photoNotYetText(ymd, mealKey, lang), watchable ? [photoWatchButton(ymd, mealKey, lang)] : null);
+        }
         const imgUrl = proxiedImageUrl(rawUrl, req);
-        const title = `📷 (${prettyYmd(ymd)}) ${mealKo(mealKey)}`;
-        return res.json(kakaoImageCard(title, imgUrl, title, null));
+        const title = t(lang, "photo.title", { date: prettyYmd(ymd), meal: mealLabel(mealKey, lang) });
+        return imageReply(title, imgUrl, title, null);
       } catch (e) {
         console.error("[photo-fetch-failed]", { ymd, mealKey, code: e?.code, msg: e?.message });
-        return res.json(kakaoText("식단 사진을 불러오다가 오류가 났어. 잠시 후 다시 시도해줘!", null));
+        return textReply(t(lang, "photo.error"), null);
       }
     }
 
-    // Menu for empty or unknown
-    const utterForMatch = utter.replace(/[^\p{Script=Hangul}\s]/gu, " ").replace(/\s+/g, " ").trim();
-
-    if (
-      !utterForMatch ||
-      !["아침", "점심", "저녁", "오늘", "내일", "이번주", "이번 주"].some((k) => utterForMatch.includes(k))
-    ) {
-      return res.json(
-        kakaoText(
-          "원하는 버튼을 눌러 급식을 확인해주세요.\n\n• 아침/점심/저녁: 오늘 해당 식사(사진 있으면 같이 표시)\n• 오늘/내일/이번주: 전체 식단",
-          menuQuickReplies()
-        )
-      );
+    if (maybePhoto.when === "photoWatch") {
+      return await photoWatchReply(channel === "kakao" ? userId : "", maybePhoto.photoYmd, maybePhoto.photoMeal, lang, req);
+    }
+    if (maybePhoto.when === "allergy") {
+      return allergyReply(userId, maybePhoto.allergyArgs, lang);
+    }
+    if (maybePhoto.when === "now") {
+      return await nowMealReply(fmt);
+    }
+    if (maybePhoto.when === "alerts") {
+      return alertReply(channel === "kakao" ? userId : "", maybePhoto.alertArgs, lang);
+    }
+    if (maybePhoto.when === "settings") {
+      return settingsReply(userId, maybePhoto.settingsArgs, lang);
+    }
+    if (maybePhoto.when === "profile") {
+      return profileReply(userId, maybePhoto.deleteProfile, lang);
+    }
+
+    if (maybePhoto.when === "search") {
+      return await searchReply(maybePhoto.query, lang);
     }
 
-    const { when, meal, photoYmd, photoMeal } = maybePhoto;
+    // Menu for empty or unknown
+    if (!maybePhoto.nutrition && !maybePhoto.recognized) {
+      return textReply(t(lang, "help"), menuButtons(lang));
+    }
 
-    const now = new Date();
-    let from, to;
+    const { when, from, to } = maybePhoto;
+    let { meal } = maybePhoto;
+    // Profile default meal applies when no meal was named ("오늘 전체" still shows everything)
+    if (meal === "all" && profile.defaultMeal && profile.defaultMeal !== "all" && !/전체/.test(maybePhoto.utter)) {
+      meal = profile.defaultMeal;
+    }
 
-    if (when === "tomorrow") {
-      const d = addDays(now, 1);
-      from = yyyymmdd(d);
-      to = from;
-    } else if (when === "week") {
-      const monday = startOfWeekMonday(now);
-      const sunday = addDays(monday, 6);
-      from = yyyymmdd(monday);
-      to = yyyymmdd(sunday);
-    } else {
-      from = yyyymmdd(now);
-      to = from;
+    if (maybePhoto.nutrition) {
+      return await nutritionReply(from, to, meal, fmt);
+    }
+    if (maybePhoto.diet) {
+      return await dietReply(from, to, meal, maybePhoto.diet, fmt);
     }
 
-    // Single-day full menu ("오늘"/"내일"): use day-page parser directly.
+    // Single-day full menu ("오늘"/"내일"/"금요일"...): use the day fetch (HAFS day page, then fallback providers).
     // Month-cell parsing can miss 일부 식사 when the calendar markup changes.
     if (meal === "all" && from === to) {
-      const dayHtml = await fetchDayInfo(from);
-      const info = parseDayMealsFromPageHtml(dayHtml) || {};
-
-      const chunks = [];
-      if (info.breakfast) chunks.push(`• 조식\n${info.breakfast}`);
-      if (info.lunch) chunks.push(`• 중식\n${info.lunch}`);
-      if (info.dinner) {
-        let combined = `• 석식\n${info.dinner}`;
-        if (info.late) combined += `\n\n<야식>\n${info.late}`;
-        chunks.push(combined);
-      }
+      const info = await fetchDayMealsOrArchive(from);
+      const chunks = info ? mealChunks(info, fmt) : [];
 
       if (chunks.length === 0) {
-        return res.json(
-          kakaoText(
-            "해당 날짜의 급식 정보가 아직 등록되지 않았거나 제공되지 않는 날입니다."
-          )
-        );
+        return textReply(await noMenuText(from, to, "all", lang), menuButtons(lang));
       }
 
-      const text = `📅 ${prettyYmd(from)}\n${chunks.join("\n\n")}`;
-      return res.json(kakaoText(text, null));
-    }
-
-    // Fetch range map via month scrape (1~2 requests)
-    const rangeMap = await fetchMonthMapForRange(from, to);
-    // Debug: log when nothing parsed for the requested range
-    if (!rangeMap || rangeMap.size === 0) {
-      console.error("[parse-empty] rangeMap empty", { from, to, when, meal, note: "will show empty if no menus OR blocked" });
-    }
+      await loadSchoolCalendar(from, to);
+      const note = `${sourceNote([info], lang)}${staleNote([info], lang)}`;
+      if (KAKAO_RICH_REPLIES) return dayListReply(from, info, fmt, note);
 
-    // Render
-    if (!rangeMap || rangeMap.size === 0) {
-      return res.json(
-        kakaoText(
-          "해당 날짜의 급식 정보가 아직 등록되지 않았거나 제공되지 않는 날입니다."
-        )
-      );
+      const badge = calendarBadge(from);
+      const text = `📅 ${prettyYmd(from)}${badge ? ` ${badge}` : ""}\n${chunks.join("\n\n")}${note}`;
+      return textReply(text, null);
     }
 
     // single meal
     if (meal !== "all" && from === to) {
-      // Fast path for single-meal buttons: fetch just the day page and parse it.
+      // Fast path for single-meal buttons: fetch just the day and pick the meal.
       // This is much faster than month-range parsing under load.
-      const dayHtml = await fetchDayInfo(from); // ✅ 한 번만 가져옴
-      const info = parseDayMealsFromPageHtml(dayHtml) || {};
+      const info = (await fetchDayMealsOrArchive(from)) || {};
 
       // Build menu text for the requested meal
-      let menuText = null;
-      if (meal === "breakfast") menuText = info.breakfast || null;
-      else if (meal === "lunch") menuText = info.lunch || null;
-      else if (meal === "dinner") {
-        if (info.dinner) {
-          menuText = info.dinner;
-          if (info.late) menuText += `\n\n<야식>\n${info.late}`;
-        } else {
-          menuText = null;
-        }
-      }
+      const menuText = mealBlockText(info, meal, fmt);
 
       if (!menuText) {
         // No menu for this meal (or blocked/empty)
-        return res.json(
-          kakaoText(`🍽 ${mealKo(meal)} 정보가 아직 등록되지 않았거나 오늘은 제공되지 않습니다.\n📅 ${prettyYmd(from)}`, null)
-        );
+        return textReply(await noMenuText(from, to, meal, lang), null);
       }
 
-      const text = `🍽 ${mealKo(meal)}\n📅 ${prettyYmd(from)}\n${menuText}`;
+      const head = t(lang, "menu.meal", { meal: mealLabel(meal, lang), date: prettyYmd(from) });
+      const text = `${head}\n${menuText}${sourceNote([info], lang)}${staleNote([info], lang)}`;
 
       // Only show a single "식단 사진 보기" button for 아침/점심/저녁
-      return res.json(kakaoText(text, photoQuickReply(from, meal)));
+      return textReply(text, photoButton(from, meal, lang));
+    }
+
+    // Fetch range map via month scrape (1~2 requests), falling back to other providers
+    const rangeMap = await fetchMonthMapForRangeOrArchive(from, to);
+    // Debug: log when nothing parsed for the requested range
+    if (!rangeMap || rangeMap.size === 0) {
+      console.error("[parse-empty] rangeMap empty", { from, to, when, meal, note: "will show empty if no menus OR blocked" });
+    }
+
+    // Render
+    if (!rangeMap || rangeMap.size === 0) {
+      return textReply(await noMenuText(from, to, "all", lang), menuButtons(lang));
+    }
+
+    // range (이번주/다음주/지난주), optionally one meal
+    const infos = [...rangeMap.values()];
+    const note = `${sourceNote(infos, lang)}${staleNote(infos, lang)}`;
+    const opts = { ...fmt, only: meal };
+    const days = [...rangeMap.keys()].sort().filter((d) => mealChunks(rangeMap.get(d) || {}, opts).length > 0);
+    if (days.length === 0) {
+      return textReply(await noMenuText(from, to, meal, lang), menuButtons(lang));
     }
 
-    // all
-    const days = [...rangeMap.keys()].sort();
-    const text = days
+    // Mark holidays/breaks: badges on menu days, plus "급식 없음" entries for closed days
+    await loadSchoolCalendar(from, to);
+    const closedDays = [];
+    for (let d = ymdToDate(from); yyyymmdd(d) <= to; d = addDays(d, 1)) {
+      const ymd = yyyymmdd(d);
+      if (!days.includes(ymd) && calendarBadge(ymd, ["holiday", "break", "closed"])) closedDays.push(ymd);
+    }
+    const allDays = [...days, ...closedDays].sort();
+    if (KAKAO_RICH_REPLIES) {
+      return weekCardsReply(allDays, rangeMap, opts, req, note);
+    }
+
+    // Plain-text fallback (long weeks are split across up to 3 simpleText outputs)
+    const text = allDays
       .map((d) => {
-        const info = rangeMap.get(d) || {};
-        const chunks = [];
-        if (info.breakfast) chunks.push(`• 조식\n${info.breakfast}`);
-        if (info.lunch) chunks.push(`• 중식\n${info.lunch}`);
-        if (info.dinner) {
-          let combined = `• 석식\n${info.dinner}`;
-          if (info.late) combined += `\n\n<야식>\n${info.late}`;
-          chunks.push(combined);
-        }
-        return `📅 ${prettyYmd(d)}\n${chunks.join("\n\n")}`;
+        const badge = calendarBadge(d);
+        const head = `📅 ${prettyYmd(d)}${badge ? ` ${badge}` : ""}`;
+        if (!days.includes(d)) return `${head} · ${t(lang, "menu.noMeals")}`;
+        return `${head}\n${mealChunks(rangeMap.get(d) || {}, opts).join("\n\n")}`;
       })
       .join("\n\n──────────\n\n");
 
-    return res.json(kakaoText(text, null));
+    return textReply(`${text}${note}`, null);
   } catch (err) {
     const code = err?.code || "";
     const msg = err?.message || "";
     console.error("KAKAO ERROR", code, msg);
 
     if (code === "HAFS_FIREWALL" || msg.includes("HAFS_FIREWALL")) {
-      return res.json(
-        kakaoText(
-          "학교 사이트 접속이 차단(방화벽)되어 급식을 불러올 수 없어요.\n잠시 후 다시 시도해줘!"
-        )
-      );
+      return textReply(t(lang, "error.firewall"), menuButtons(lang));
+    }
+    if (code === "UPSTREAM_CIRCUIT_OPEN" || code === "UPSTREAM_BUSY") {
+      return textReply(t(lang, "error.circuit"), menuButtons(lang));
     }
     if (code === "PLAYWRIGHT_NOT_INSTALLED" || msg.includes("PLAYWRIGHT_NOT_INSTALLED")) {
-      return res.json(
-        kakaoText(
-          "서버에 브라우저 모듈(Playwright)이 없어 학교 사이트 차단을 우회할 수 없어요.\n관리자에게 Playwright 설치 후 재배포를 요청해줘!"
-        )
-      );
+      return textReply(t(lang, "error.playwright"), menuButtons(lang));
+    }
+
+    return textReply(t(lang, "error.generic"), menuButtons(lang));
+  }
+}
+
+// ----------------- Kakao callback (AI chatbot callback) -----------------
+// When Open Builder sends userRequest.callbackUrl, a reply that isn't ready within
+// KAKAO_INLINE_WAIT_MS (cached answers are) is acknowledged with useCallback and the final
+// template is POSTed to the callback URL later. Only Kakao hosts (plus KAKAO_CALLBACK_ALLOW_HOSTS,
+// e.g. "localhost" for a local stand-in receiver) are ever called.
+const KAKAO_INLINE_WAIT_MS = Number(process.env.KAKAO_INLINE_WAIT_MS || 800);
+const KAKAO_CALLBACK_DEADLINE_MS = Number(process.env.KAKAO_CALLBACK_DEADLINE_MS || 45000); // callback URL lives ~1 min
+const KAKAO_CALLBACK_ALLOW_HOSTS = String(process.env.KAKAO_CALLBACK_ALLOW_HOSTS || "")
+  .split(",")
+  .map((h) => h.trim().toLowerCase())
+  .filter(Boolean);
+
+function isAllowedCallbackUrl(raw) {
+  try {
+    const u = new URL(String(raw));
+    const host = u.hostname.toLowerCase();
+    if (KAKAO_CALLBACK_ALLOW_HOSTS.includes(host)) return true;
+    return u.protocol === "https:" && (host === "kakao.com" || host.endsWith(".kakao.com"));
+  } catch {
+    return false;
+  }
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => {
+    const t = setTimeout(resolve, ms);
+    t.unref?.();
+  });
+}
+
+async function deliverKakaoCallback(callbackUrl, replyPromise, lang = "ko") {
+  const TIMEOUT = Symbol("timeout");
+  const start = Date.now();
+  const reply = await Promise.race([replyPromise, sleep(KAKAO_CALLBACK_DEADLINE_MS).then(() => TIMEOUT)]);
+  const timedOut = reply === TIMEOUT;
+  const payload = renderKakao(timedOut ? textReply(t(lang, "error.callbackTimeout"), menuButtons(lang)) : reply);
+
+  try {
+    const resp = await axios.post(callbackUrl, payload, {
+      timeout: 5000,
+      headers: { "Content-Type": "application/json" },
+    });
+    console.log("[KAKAO CALLBACK]", { status: resp.status, ms: Date.now() - start, timedOut });
+  } catch (e) {
+    console.error("[kakao-callback-failed]", { code: e?.code, status: e?.response?.status, msg: e?.message });
+  }
+}
+
+function replyLang(utterance, userId) {
+  // Language for "please wait" messages sent before buildReply has finished
+  return parseUtter(utterance).lang || getUserProfile(userId).lang || "ko";
+}
+
+// ----------------- Kakao skill parameters -----------------
+// Blocks can hand over structured parameters instead of (or on top of) the raw utterance:
+// - date: sys.date / sys.date.period entity, the date-picker plugin (sys.plugin.date), or plain "YYYY-MM-DD"
+// - meal: breakfast|lunch|dinner (or 아침/점심/저녁, 조식/중식/석식)
+// - command: one of KAKAO_COMMANDS (or its Korean keyword); date/meal only go with the dated ones
+// They are read from action.detailParams, action.params and quick-reply clientExtra and turned into
+// the phrasing parseUtter understands ("사진 20261021 점심"). No parameters -> the utterance as sent.
+// Sample payloads: fixtures/kakao/.
+const KAKAO_COMMANDS = {
+  menu: { ko: "", en: "", dated: true },
+  photo: { ko: "사진", en: "photo", dated: true },
+  nutrition: { ko: "영양", en: "nutrition", dated: true },
+  vegetarian: { ko: "채식", en: "vegetarian", dated: true },
+  halal: { ko: "할랄", en: "halal", dated: true },
+  now: { ko: "지금", en: "now" },
+  allergy: { ko: "알레르기", en: "allergy" },
+  settings: { ko: "설정", en: "settings" },
+  profile: { ko: "내 정보", en: "my info" },
+  alerts: { ko: "알림", en: "alerts" },
+  help: { ko: "도움말", en: "help" },
+};
+const KAKAO_MEAL_PARAM = { 아침: "breakfast", 조식: "breakfast", 점심: "lunch", 중식: "lunch", 저녁: "dinner", 석식: "dinner", 야식: "dinner", late: "dinner" };
+
+function kakaoParam(action, name) {
+  // detailParams carry the resolved value; params the same value as a plain string
+  const detail = action?.detailParams?.[name];
+  const raw = detail?.value ?? action?.params?.[name] ?? action?.clientExtra?.[name];
+  return raw === undefined || raw === null || raw === "" ? null : raw;
+}
+
+function kakaoDateParam(raw, now = kstDate()) {
+  // -> { from, to } (YYYYMMDD) or null. sys.date values are JSON strings:
+  //    {"dateTag":"tomorrow","value":"2026-10-21",...}, {"date":"2026-10-21",...},
+  //    {"from":{"date":"2026-10-19"},"to":{"date":"2026-10-25"}} (period), {"value":"2026-10-21","userTimeZone":"UTC+9"} (plugin)
+  let v = raw;
+  if (typeof v === "string" && /^\s*\{/.test(v)) {
+    try {
+      v = JSON.parse(v);
+    } catch {
+      return null;
     }
+  }
+  const ymdOf = (x) => {
+    const str = typeof x === "object" && x !== null ? x.date ?? x.value : x;
+    const m = String(str ?? "").match(/^(\d{4})-?(\d{2})-?(\d{2})/);
+    const ymd = m ? `${m[1]}${m[2]}${m[3]}` : null;
+    return ymd && isValidYmd(ymd) ? ymd : null;
+  };
+  if (v && typeof v === "object" && v.from && v.to) {
+    const from = ymdOf(v.from);
+    const to = ymdOf(v.to);
+    return from && to && from <= to ? { from, to } : null;
+  }
+  const ymd = ymdOf(v);
+  if (ymd) return { from: ymd, to: ymd };
+  // dateTag without a value ("today", "tomorrow", ...)
+  const offset = { today: 0, tomorrow: 1, dayAfterTomorrow: 2, yesterday: -1 }[v?.dateTag];
+  return offset === undefined ? null : { from: yyyymmdd(addDays(now, offset)), to: yyyymmdd(addDays(now, offset)) };
+}
+
+function kakaoDateWords(range, now = kstDate()) {
+  // A whole Monday-Sunday week reads as "이번주"/"다음주"/"지난주"; other periods use their first day
+  if (range.from === range.to) return range.from;
+  const thisMonday = startOfWeekMonday(now);
+  const week = [-1, 0, 1].find((w) => yyyymmdd(addDays(thisMonday, w * 7)) === range.from && yyyymmdd(addDays(thisMonday, w * 7 + 6)) === range.to);
+  return week === undefined ? range.from : { "-1": "지난주", 0: "이번주", 1: "다음주" }[week];
+}
+
+function kakaoUtterance(body, now = kstDate()) {
+  const utterance = String(body?.userRequest?.utterance || "");
+  const action = body?.action || {};
+  const dateRaw = kakaoParam(action, "date") ?? kakaoParam(action, "sys_date") ?? kakaoParam(action, "sys_plugin_date");
+  const mealRaw = kakaoParam(action, "meal");
+  const commandRaw = kakaoParam(action, "command");
+  if (dateRaw === null && mealRaw === null && commandRaw === null) return utterance;
+
+  const english = englishToKorean(utterance).english;
+  const range = dateRaw !== null ? kakaoDateParam(dateRaw, now) : null;
+  const mealKey = mealRaw !== null ? (MEAL_KEYS.includes(String(mealRaw).toLowerCase()) ? String(mealRaw).toLowerCase() : KAKAO_MEAL_PARAM[String(mealRaw).trim()]) : null;
+  const command = commandRaw !== null ? String(commandRaw).trim() : null;
+  if (dateRaw !== null && !range) console.error("[kakao-params] unreadable date", { dateRaw });
+
+  // Without a command parameter the utterance still decides what is asked ("내일 점심 사진" + sys.date)
+  const commandDef = command === null ? null : KAKAO_COMMANDS[command.toLowerCase()];
+  const commandWord = command === null ? null : commandDef?.[english ? "en" : "ko"] ?? command;
+  // "알림 20261021" would register 20261021 as a keyword: settings-style commands take no date/meal
+  const dated = command === null || Boolean(commandDef?.dated);
+  // ...minus its own date/meal words when a parameter overrides them
+  let base = commandWord ?? utterance;
+  if (commandWord === null && range) {
+    base = base.replace(/\d{4}-\d{1,2}-\d{1,2}|오늘|내일|모레|글피|어제|그저?께|(?:이번|다음|지난|저번)\s*주|\b(?:today|tomorrow|yesterday|(?:this|next|last)\s+week)\b/gi, " ");
+  }
+  if (commandWord === null && mealKey) base = base.replace(/아침|점심|저녁|조식|중식|석식|\b(?:breakfast|lunch|dinner)\b/gi, " ");
+  const parts = [base];
+  if (range && dated) parts.push(kakaoDateWords(range, now));
+  if (mealKey && dated) parts.push(english ? (mealKey === "late" ? "dinner" : mealKey) : { breakfast: "아침", lunch: "점심", dinner: "저녁", late: "저녁" }[mealKey]);
+  const out = parts.join(" ").replace(/\s+/g, " ").trim();
+  return out || utterance;
+}
 
-    return res.json(kakaoText("급식 불러오다가 오류가 났어. 잠시 후 다시 시도해줘!"));
+// Open Builder can send a fixed header with every skill call (skill settings -> headers);
+// when KAKAO_SKILL_SECRET is set, requests without a matching X-Skill-Secret are rejected.
+const KAKAO_SKILL_SECRET = (process.env.KAKAO_SKILL_SECRET || "").trim();
+
+// Kakao webhook handler (shared by /kakao and /menu)
+async function handleKakaoWebhook(req, res) {
+  if (KAKAO_SKILL_SECRET && !secretMatches(req.get("x-skill-secret"), KAKAO_SKILL_SECRET)) {
+    return res.status(401).json({ error: "UNAUTHORIZED" });
   }
+  const userRequest = req?.body?.userRequest || {};
+  const utterance = kakaoUtterance(req?.body);
+  const userId = String(userRequest.user?.id || "");
+  const callbackUrl = String(userRequest.callbackUrl || "");
+  const replyPromise = buildReply({ channel: "kakao", utterance, userId, req });
+  if (!callbackUrl || !isAllowedCallbackUrl(callbackUrl)) return res.json(renderKakao(await replyPromise));
+
+  const PENDING = Symbol("pending");
+  const first = await Promise.race([replyPromise, sleep(KAKAO_INLINE_WAIT_MS).then(() => PENDING)]);
+  if (first !== PENDING) return res.json(renderKakao(first));
+
+  const lang = replyLang(utterance, userId);
+  res.json({ version: "2.0", useCallback: true, data: { text: t(lang, "callback.pending") } });
+  deliverKakaoCallback(callbackUrl, replyPromise, lang);
 }
 
 app.post("/kakao", handleKakaoWebhook);
 
-// Run
+// ----------------- Telegram -----------------
+// Bot API webhook (setWebhook with secret_token = TELEGRAM_WEBHOOK_SECRET). Disabled unless the
+// secret is set. A single message is answered inline in the webhook response; longer replies
+// (text + photo, ...) go out in order through the Bot API at TELEGRAM_API_BASE.
+// Local stand-in: POST fixtures/telegram/*.json with the X-Telegram-Bot-Api-Secret-Token header.
+const TELEGRAM_WEBHOOK_SECRET = (process.env.TELEGRAM_WEBHOOK_SECRET || "").trim();
+const TELEGRAM_BOT_TOKEN = (process.env.TELEGRAM_BOT_TOKEN || "").trim();
+const TELEGRAM_API_BASE = (process.env.TELEGRAM_API_BASE || "https://api.telegram.org").replace(/\/+$/, "");
+const TELEGRAM_TEXT_LIMIT = 4096;
+const TELEGRAM_CALLBACK_DATA_LIMIT = 64; // bytes
+
+function telegramKeyboard(buttons) {
+  // Inline keyboard, 3 per row; callback_data carries the text to "type" back
+  const usable = buttons.filter((b) => Buffer.byteLength(b.text) <= TELEGRAM_CALLBACK_DATA_LIMIT);
+  const rows = [];
+  for (let i = 0; i < usable.length; i += 3) {
+    rows.push(usable.slice(i, i + 3).map((b) => ({ text: b.label, callback_data: b.text })));
+  }
+  return rows.length ? { inline_keyboard: rows } : null;
+}
+
+function renderTelegram(reply, chatId) {
+  // -> Bot API calls [{ method, ...params }]; the keyboard rides on the last message
+  const calls = [];
+  const buttons = [...reply.buttons];
+  const sendText = (text) => {
+    for (const part of splitText(text, TELEGRAM_TEXT_LIMIT, 5)) calls.push({ method: "sendMessage", chat_id: chatId, text: part });
+  };
+  for (const block of reply.blocks) {
+    if (block.type === "text") sendText(block.text);
+    else if (block.type === "image") calls.push({ method: "sendPhoto", chat_id: chatId, photo: block.url, caption: block.alt });
+    else if (block.type === "list") {
+      sendText(`${block.title}\n${block.items.map((i) => `• ${i.title}: ${i.description}`).join("\n")}`);
+      buttons.push(...block.items.map((i) => ({ label: i.title, text: i.text })));
+    } else if (block.type === "cards") {
+      sendText(block.cards.map((c) => `${c.title}\n${c.description}`).join("\n\n"));
+      for (const c of block.cards) {
+        buttons.push(...(c.buttons || []).map((b) => ({ label: truncateText(`${b.label} ${c.title}`, 32), text: b.text })));
+      }
+    }
+  }
+  const keyboard = telegramKeyboard(buttons);
+  if (keyboard && calls.length) calls[calls.length - 1].reply_markup = keyboard;
+  return calls;
+}
+
+async function callTelegram(method, params) {
+  const resp = await axios.post(`${TELEGRAM_API_BASE}/bot${TELEGRAM_BOT_TOKEN}/${method}`, params, { timeout: 10000 });
+  return resp.data;
+}
+
+function telegramUtterance(text) {
+  // "/start", "/help" -> help; "/menu 내일 점심" (or "/menu@bot ...") -> "내일 점심"
+  const s = String(text || "").trim();
+  const cmd = s.match(/^\/(\w+)(?:@\w+)?(?:\s+(.*))?$/s);
+  if (!cmd) return s;
+  return cmd[1] === "start" || cmd[1] === "help" ? "" : cmd[2] || "";
+}
+
+app.post("/telegram", async (req, res) => {
+  if (!TELEGRAM_WEBHOOK_SECRET) return res.status(404).json({ error: "NOT_CONFIGURED" });
+  if (!secretMatches(req.get("x-telegram-bot-api-secret-token"), TELEGRAM_WEBHOOK_SECRET)) {
+    return res.status(401).json({ error: "UNAUTHORIZED" });
+  }
+
+  const update = req.body || {};
+  const query = update.callback_query;
+  const message = query ? query.message : update.message;
+  const chatId = message?.chat?.id;
+  const from = query ? query.from : message?.from;
+  const text = query ? query.data : message?.text;
+  if (!chatId || typeof text !== "string") return res.json({}); // stickers, joins, edits...
+
+  if (query && TELEGRAM_BOT_TOKEN) {
+    callTelegram("answerCallbackQuery", { callback_query_id: query.id }).catch(() => {});
+  }
+  const reply = await buildReply({ channel: "telegram", utterance: telegramUtterance(text), userId: from?.id ? `telegram:${from.id}` : "", req });
+  const calls = renderTelegram(reply, chatId);
+  if (calls.length <= 1 || !TELEGRAM_BOT_TOKEN) {
+    if (calls.length > 1) console.error("[telegram] TELEGRAM_BOT_TOKEN unset; only the first message is sent", { calls: calls.length });
+    return res.json(calls[0] || {});
+  }
+
+  res.json({});
+  for (const { method, ...params } of calls) {
+    try {
+      await callTelegram(method, params);
+    } catch (e) {
+      console.error("[telegram-send-failed]", { method, status: e?.response?.status, msg: e?.message });
+      break;
+    }
+  }
+});
+
+// ----------------- Discord -----------------
+// Interactions endpoint (slash command "/급식 query:<text>" or any command with a "query" option,
+// plus button clicks). Requests are Ed25519-signed with the app's DISCORD_PUBLIC_KEY; disabled
+// unless it is set. Replies slower than DISCORD_INLINE_WAIT_MS are deferred and then edited in
+// through the interaction webhook at DISCORD_API_BASE.
+// Local stand-in: sign fixtures/discord/*.json with a test key pair and set DISCORD_PUBLIC_KEY to its public half.
+const DISCORD_PUBLIC_KEY = (process.env.DISCORD_PUBLIC_KEY || "").trim();
+const DISCORD_API_BASE = (process.env.DISCORD_API_BASE || "https://discord.com/api/v10").replace(/\/+$/, "");
+const DISCORD_INLINE_WAIT_MS = Number(process.env.DISCORD_INLINE_WAIT_MS || 2500); // Discord allows 3s
+const DISCORD_CONTENT_LIMIT = 2000;
+const DISCORD_MAX_EMBEDS = 10;
+const DISCORD_CUSTOM_ID_LIMIT = 100;
+const DISCORD_INTERACTION = { PING: 1, COMMAND: 2, COMPONENT: 3 };
+const DISCORD_RESPONSE = { PONG: 1, MESSAGE: 4, DEFERRED_MESSAGE: 5 };
+const ED25519_SPKI_PREFIX = Buffer.from("302a300506032b6570032100", "hex");
+
+function verifyDiscordSignature(req) {
+  try {
+    const sig = Buffer.from(String(req.get("x-signature-ed25519") || ""), "hex");
+    const timestamp = String(req.get("x-signature-timestamp") || "");
+    if (sig.length !== 64 || !timestamp || !req.rawBody) return false;
+    const key = crypto.createPublicKey({
+      key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(DISCORD_PUBLIC_KEY, "hex")]),
+      format: "der",
+      type: "spki",
+    });
+    return crypto.verify(null, Buffer.concat([Buffer.from(timestamp), req.rawBody]), key, sig);
+  } catch {
+    return false;
+  }
+}
+
+function discordComponents(buttons) {
+  // Up to 5 rows of 5 buttons; custom_id is the text to "type" back (must be unique per message)
+  const seen = new Set();
+  const usable = buttons.filter((b) => b.text.length <= DISCORD_CUSTOM_ID_LIMIT && !seen.has(b.text) && seen.add(b.text)).slice(0, 25);
+  const rows = [];
+  for (let i = 0; i < usable.length; i += 5) {
+    rows.push({
+      type: 1,
+      components: usable.slice(i, i + 5).map((b) => ({ type: 2, style: 2, label: truncateText(b.label, 80), custom_id: b.text })),
+    });
+  }
+  return rows;
+}
+
+function renderDiscord(reply) {
+  // -> interaction message data: text in content, images / lists / cards as embeds
+  const texts = [];
+  const embeds = [];
+  const buttons = [...reply.buttons];
+  for (const block of reply.blocks) {
+    if (block.type === "text") texts.push(block.text);
+    else if (block.type === "image") embeds.push({ title: block.alt, image: { url: block.url } });
+    else if (block.type === "list") {
+      embeds.push({ title: block.title, fields: block.items.map((i) => ({ name: i.title, value: truncateText(i.description || "-", 1024) })) });
+      buttons.push(...block.items.map((i) => ({ label: i.title, text: i.text })));
+    } else if (block.type === "cards") {
+      for (const c of block.cards) {
+        const embed = { title: c.title, description: truncateText(c.description, 4096) };
+        if (c.imageUrl) embed.thumbnail = { url: c.imageUrl };
+        embeds.push(embed);
+        buttons.push(...(c.buttons || []).map((b) => ({ label: `${b.label} ${c.title}`, text: b.text })));
+      }
+    }
+  }
+  return {
+    content: splitText(texts.join("\n\n"), DISCORD_CONTENT_LIMIT, 1)[0],
+    embeds: embeds.slice(0, DISCORD_MAX_EMBEDS),
+    components: discordComponents(buttons),
+  };
+}
+
+function discordUtterance(interaction) {
+  if (interaction.type === DISCORD_INTERACTION.COMPONENT) return String(interaction.data?.custom_id || "");
+  const option = (interaction.data?.options || []).find((o) => o.name === "query");
+  return String(option?.value || "");
+}
+
+async function deliverDiscordFollowup(interaction, replyPromise, lang) {
+  const url = `${DISCORD_API_BASE}/webhooks/${interaction.application_id}/${interaction.token}/messages/@original`;
+  let reply;
+  try {
+    reply = await replyPromise;
+  } catch {
+    reply = textReply(t(lang, "error.generic"), menuButtons(lang));
+  }
+  try {
+    await axios.patch(url, renderDiscord(reply), { timeout: 10000 });
+  } catch (e) {
+    console.error("[discord-followup-failed]", { status: e?.response?.status, msg: e?.message });
+  }
+}
+
+app.post("/discord", async (req, res) => {
+  if (!DISCORD_PUBLIC_KEY) return res.status(404).json({ error: "NOT_CONFIGURED" });
+  if (!verifyDiscordSignature(req)) return res.status(401).json({ error: "INVALID_SIGNATURE" });
+
+  const interaction = req.body || {};
+  if (interaction.type === DISCORD_INTERACTION.PING) return res.json({ type: DISCORD_RESPONSE.PONG });
+  if (interaction.type !== DISCORD_INTERACTION.COMMAND && interaction.type !== DISCORD_INTERACTION.COMPONENT) {
+    return res.status(400).json({ error: "UNSUPPORTED_INTERACTION" });
+  }
+
+  // Guild interactions carry member.user, DMs carry user
+  const user = interaction.member?.user || interaction.user;
+  const utterance = discordUtterance(interaction);
+  const userId = user?.id ? `discord:${user.id}` : "";
+  const replyPromise = buildReply({ channel: "discord", utterance, userId, req });
+
+  const PENDING = Symbol("pending");
+  const first = await Promise.race([replyPromise, sleep(DISCORD_INLINE_WAIT_MS).then(() => PENDING)]);
+  if (first !== PENDING) return res.json({ type: DISCORD_RESPONSE.MESSAGE, data: renderDiscord(first) });
+
+  res.json({ type: DISCORD_RESPONSE.DEFERRED_MESSAGE });
+  deliverDiscordFollowup(interaction, replyPromise, replyLang(utterance, userId));
+});
+
+// Run (only as the entry point: tests import this file for its parsers)
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => console.log(`서버 실행중: http://localhost:${PORT}`));
+const isEntryPoint = Boolean(process.argv[1]) && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url);
+const server = isEntryPoint ? app.listen(PORT, () => console.log(`서버 실행중: http://localhost:${PORT}`)) : null;
+
+// Graceful shutdown (Render sends SIGTERM on deploy): stop accepting requests, close the
+// browser and write pending JSON stores before exiting.
+let shuttingDown = false;
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log("[shutdown]", { signal });
+  const force = setTimeout(() => process.exit(1), 10000);
+  force.unref();
+  server?.close();
+  for (const job of scheduledJobs.values()) clearTimeout(job.timer);
+  await closePwBrowser(signal);
+  for (const store of jsonStores) store.flush();
+  process.exit(0);
+}
+
+if (isEntryPoint) {
+  process.on("SIGTERM", () => shutdown("SIGTERM"));
+  process.on("SIGINT", () => shutdown("SIGINT"));
+}
+
+export {
+  app,
+  resolveDateExpr,
+  parseUtter,
+  renderKakao,
+  dayListReply,
+  dayCardDescription,
+  menuVersions,
+  recordMenuVersion,
+  photoWatchStore,
+  notifyPhotoSubscribers,
+  deleteUserProfile,
+  kakaoUtterance,
+  kakaoDateParam,
+  isAllowedCallbackUrl,
+  deliverKakaoCallback,
+  digestLog,
+  renderDigest,
+  deliverDigest,
+};
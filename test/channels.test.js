@@ -0,0 +1,80 @@
+// Telegram and Discord routes fed the stand-in payloads from fixtures/, with a local receiver in
+// place of the Bot API / interaction webhook.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { fixture, loadServer, serve, startReceiver, waitFor } from "./helpers.js";
+
+const api = await startReceiver({ ok: true, result: true });
+const { received } = api;
+const { publicKey, privateKey } = crypto.generateKeyPairSync("ed25519");
+const { app } = await loadServer({
+  TELEGRAM_WEBHOOK_SECRET: "stand-in-secret",
+  TELEGRAM_BOT_TOKEN: "stand-in-token",
+  TELEGRAM_API_BASE: api.url,
+  DISCORD_PUBLIC_KEY: publicKey.export({ format: "der", type: "spki" }).subarray(12).toString("hex"),
+  DISCORD_API_BASE: api.url,
+});
+const { post } = await serve(app);
+
+const telegram = (body, secret = "stand-in-secret") => post("/telegram", body, { "X-Telegram-Bot-Api-Secret-Token": secret });
+const discord = (body, key = privateKey) => {
+  const ts = String(Math.floor(Date.now() / 1000));
+  const sig = crypto.sign(null, Buffer.concat([Buffer.from(ts), body]), key).toString("hex");
+  return post("/discord", body, { "X-Signature-Timestamp": ts, "X-Signature-Ed25519": sig });
+};
+
+test("telegram rejects a wrong secret token", async () => {
+  assert.equal((await telegram(fixture("telegram/message.json"), "nope")).status, 401);
+});
+
+for (const name of ["message.json", "command.json"]) {
+  test(`telegram/${name} is answered in its chat`, async () => {
+    received.length = 0;
+    const inline = await (await telegram(fixture(`telegram/${name}`))).json();
+    // One message comes back inline; more go out through the Bot API in order
+    if (!inline.method) await waitFor(() => received.length > 0);
+    const calls = inline.method ? [inline] : received.map((r) => ({ method: r.url.split("/").pop(), ...r.body }));
+    assert.ok(calls.length > 0);
+    assert.equal(calls[0].method, "sendMessage");
+    assert.equal(calls[0].chat_id, 424242);
+    assert.ok(calls[0].text);
+  });
+}
+
+test("telegram/callback_query.json answers the button press", async () => {
+  received.length = 0;
+  const res = await telegram(fixture("telegram/callback_query.json"));
+  assert.equal(res.status, 200);
+  await waitFor(() => received.some((r) => r.url.endsWith("/answerCallbackQuery")));
+  const ack = received.find((r) => r.url.endsWith("/answerCallbackQuery"));
+  assert.equal(ack.url, "/botstand-in-token/answerCallbackQuery");
+  assert.equal(ack.body.callback_query_id, "4382bfdwdsb323b2d9");
+});
+
+test("discord rejects a bad signature", async () => {
+  const { privateKey: other } = crypto.generateKeyPairSync("ed25519");
+  assert.equal((await discord(fixture("discord/ping.json"), other)).status, 401);
+});
+
+test("discord/ping.json gets a PONG", async () => {
+  assert.deepEqual(await (await discord(fixture("discord/ping.json"))).json(), { type: 1 });
+});
+
+for (const name of ["command.json", "button.json"]) {
+  test(`discord/${name} gets a message`, async () => {
+    received.length = 0;
+    const body = await (await discord(fixture(`discord/${name}`))).json();
+    let data = body.data;
+    if (body.type === 5) {
+      // Deferred: the reply is edited in through the interaction webhook
+      await waitFor(() => received.length > 0);
+      assert.equal(received[0].method, "PATCH");
+      assert.equal(received[0].url, "/webhooks/1000000000000000000/stand-in-token/messages/@original");
+      data = received[0].body;
+    } else {
+      assert.equal(body.type, 4);
+    }
+    assert.ok(data.content || data.embeds.length > 0);
+  });
+}
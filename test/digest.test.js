@@ -0,0 +1,78 @@
+// Daily digest delivery against a local HTTP receiver standing in for Slack/Discord/JSON webhooks.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadServer, serve, startReceiver } from "./helpers.js";
+
+const hooks = await startReceiver();
+const { received, statuses } = hooks;
+const target = (name, type, extra = {}) => ({ name, type, url: `${hooks.url}/${name}`, times: [], sendEmpty: true, retries: 3, ...extra });
+const { app, digestLog, renderDigest, deliverDigest } = await loadServer(
+  { ADMIN_TOKEN: "stand-in-admin", DIGEST_RETRY_BASE_SEC: "0.01" },
+  { "digest-targets.json": { targets: [target("dorm-json", "json")] } }
+);
+const { post } = await serve(app);
+
+const DIGEST = {
+  ymd: "20991021",
+  info: { source: "hafs" },
+  meals: [
+    {
+      key: "lunch",
+      label: "중식",
+      lines: ["쌀밥", "제육볶음"],
+      dishes: [{ name: "쌀밥", allergens: [], tags: [] }],
+      kcal: 812.4,
+      photoUrl: "https://bot.example/img?url=https%3A%2F%2Fhafs.hs.kr%2Fphoto.jpg",
+    },
+  ],
+};
+
+test("POST /admin/digest/:name/send delivers to the target", async () => {
+  received.length = 0;
+  const res = await post("/admin/digest/dorm-json/send?date=20991021", "", { Authorization: "Bearer stand-in-admin" });
+  assert.equal(res.status, 200);
+  assert.equal((await res.json()).ok, true);
+  assert.equal(received.length, 1);
+  assert.equal(received[0].url, "/dorm-json");
+  assert.equal(received[0].body.date, "2099-10-21");
+  assert.ok(received[0].body.noMenuReason);
+  const last = digestLog.data.entries.at(-1);
+  assert.deepEqual([last.target, last.ymd, last.trigger, last.ok], ["dorm-json", "20991021", "manual", true]);
+});
+
+test("admin routes need the bearer token", async () => {
+  const { url } = await serve(app);
+  assert.equal((await fetch(`${url}/admin/digest`)).status, 401);
+  assert.equal((await fetch(`${url}/admin/digest`, { headers: { Authorization: "Bearer stand-in-admin" } })).status, 200);
+});
+
+test("each target type gets its own body, photos through /img", () => {
+  const slack = renderDigest(DIGEST, { type: "slack", lang: "ko" });
+  assert.equal(slack.blocks[0].type, "header");
+  assert.match(slack.blocks[1].text.text, /\*중식\*\n쌀밥\n제육볶음\n🔥 812kcal/);
+  assert.equal(slack.blocks[2].image_url, DIGEST.meals[0].photoUrl);
+
+  const discord = renderDigest(DIGEST, { type: "discord", lang: "ko" });
+  assert.equal(discord.embeds[0].title, "중식");
+  assert.equal(discord.embeds[0].image.url, DIGEST.meals[0].photoUrl);
+
+  const json = renderDigest(DIGEST, { type: "json", lang: "ko" });
+  assert.deepEqual(json.meals[0], { meal: "lunch", label: "중식", dishes: DIGEST.meals[0].dishes, kcal: 812.4, photoUrl: DIGEST.meals[0].photoUrl });
+});
+
+test("a 5xx is retried and every attempt is logged", async () => {
+  received.length = 0;
+  statuses.push(503);
+  const result = await deliverDigest(target("retry-hook", "slack"), { text: "x" }, { target: "retry-hook", ymd: "20991021" });
+  assert.deepEqual(result, { ok: true, attempts: 2, status: 200 });
+  assert.equal(received.length, 2);
+  const log = digestLog.data.entries.filter((e) => e.target === "retry-hook");
+  assert.deepEqual(log.map((e) => [e.attempt, e.ok, e.status]), [[1, false, 503], [2, true, 200]]);
+});
+
+test("a 4xx is final", async () => {
+  received.length = 0;
+  statuses.push(404);
+  await assert.rejects(deliverDigest(target("gone-hook", "discord"), { content: "x" }, { target: "gone-hook" }), { code: "DIGEST_DELIVERY_FAILED" });
+  assert.equal(received.length, 1);
+});
@@ -0,0 +1,60 @@
+// Shared test scaffolding. server.js reads its configuration when it is imported, so tests get it
+// through loadServer() with their env overrides: an empty DATA_DIR and no menu providers (nothing
+// reaches HAFS or NEIS). startReceiver() stands in for the outbound APIs (Kakao callback, Telegram,
+// Discord); serve() puts the app on a local port.
+import { after } from "node:test";
+import fs from "node:fs";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+
+// KST wall-clock "now" (UTC fields hold the Asia/Seoul time, like kstDate())
+export const kst = (y, m, d, hh = 12, mm = 0) => new Date(Date.UTC(y, m - 1, d, hh, mm));
+
+export function fixture(name) {
+  return fs.readFileSync(new URL(`../fixtures/${name}`, import.meta.url));
+}
+
+export async function loadServer(env = {}, dataFiles = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "hafs-test-"));
+  for (const [name, content] of Object.entries(dataFiles)) fs.writeFileSync(path.join(dataDir, name), JSON.stringify(content));
+  Object.assign(process.env, { DATA_DIR: dataDir, MENU_PROVIDERS: "none", ...env });
+  return import("../server.js");
+}
+
+async function listen(server) {
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  after(() => server.close());
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+export async function startReceiver(reply = {}) {
+  // Records every request; answers with the next queued status (200 once empty) and `reply`
+  const received = [];
+  const statuses = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (c) => (body += c));
+    req.on("end", () => {
+      received.push({ method: req.method, url: req.url, headers: req.headers, body: JSON.parse(body || "{}") });
+      res.writeHead(statuses.shift() || 200, { "Content-Type": "application/json" }).end(JSON.stringify(reply));
+    });
+  });
+  return { url: await listen(server), received, statuses };
+}
+
+export async function serve(app) {
+  const url = await listen(http.createServer(app));
+  const post = (route, body, headers = {}) =>
+    fetch(`${url}${route}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body: typeof body === "string" || Buffer.isBuffer(body) ? body : JSON.stringify(body),
+    });
+  return { url, post };
+}
+
+export async function waitFor(pred, ms = 1000) {
+  // For replies that go out after the route has answered
+  for (const end = Date.now() + ms; !pred() && Date.now() < end; ) await new Promise((r) => setTimeout(r, 20));
+}
@@ -0,0 +1,50 @@
+// Kakao callback delivery against a local stand-in callback receiver.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadServer, serve, startReceiver } from "./helpers.js";
+
+const callback = await startReceiver({ taskId: "stand-in", status: "SUCCESS" });
+const CALLBACK = `${callback.url}/callback/stand-in`;
+const { app, isAllowedCallbackUrl, deliverKakaoCallback } = await loadServer({
+  KAKAO_CALLBACK_ALLOW_HOSTS: "127.0.0.1",
+  KAKAO_CALLBACK_DEADLINE_MS: "200",
+});
+const { post } = await serve(app);
+
+const textReply = (text) => ({ blocks: [{ type: "text", text }], buttons: [] });
+const skillText = (body) => body.template.outputs[0].simpleText.text;
+
+test("only Kakao hosts and the allow-list are called back", () => {
+  assert.equal(isAllowedCallbackUrl("https://bot-api.kakao.com/callback/x"), true);
+  assert.equal(isAllowedCallbackUrl(CALLBACK), true);
+  assert.equal(isAllowedCallbackUrl("http://bot-api.kakao.com/callback/x"), false);
+  assert.equal(isAllowedCallbackUrl("https://kakao.com.evil.example/callback"), false);
+  assert.equal(isAllowedCallbackUrl("not a url"), false);
+});
+
+test("a finished reply is POSTed to the callback URL as a skill template", async () => {
+  callback.received.length = 0;
+  await deliverKakaoCallback(CALLBACK, Promise.resolve(textReply("오늘 점심")), "ko");
+  assert.equal(callback.received.length, 1);
+  assert.equal(callback.received[0].method, "POST");
+  assert.equal(callback.received[0].url, "/callback/stand-in");
+  assert.equal(callback.received[0].body.version, "2.0");
+  assert.equal(skillText(callback.received[0].body), "오늘 점심");
+});
+
+test("a reply past the deadline sends the timeout template", async () => {
+  callback.received.length = 0;
+  await deliverKakaoCallback(CALLBACK, new Promise(() => {}), "ko");
+  assert.equal(callback.received.length, 1);
+  assert.match(skillText(callback.received[0].body), /너무 늦어/);
+});
+
+test("a quick reply is answered inline without the callback", async () => {
+  callback.received.length = 0;
+  const res = await post("/kakao", { userRequest: { utterance: "도움말", callbackUrl: CALLBACK, user: { id: "kakao-test-user" } }, action: {} });
+  const body = await res.json();
+  assert.equal(body.version, "2.0");
+  assert.equal(body.useCallback, undefined);
+  assert.ok(body.template.outputs.length > 0);
+  assert.equal(callback.received.length, 0);
+});
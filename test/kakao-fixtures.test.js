@@ -0,0 +1,53 @@
+// Sample Open Builder payloads (fixtures/kakao/) through the skill-parameter handling:
+// payload -> utterance handed to parseUtter -> date range / meal.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { fixture, kst, loadServer } from "./helpers.js";
+
+const { kakaoUtterance, kakaoDateParam, parseUtter } = await loadServer();
+
+const payload = (name) => JSON.parse(fixture(`kakao/${name}`));
+const TUE = kst(2026, 10, 20); // the fixtures were captured on Tuesday 2026-10-20
+
+const CASES = {
+  // file: [utterance, { parseUtter fields }]
+  "utterance.json": ["내일 점심", { from: "20261021", to: "20261021", meal: "lunch" }],
+  "sys-date.json": ["뭐야 20261021 저녁", { from: "20261021", to: "20261021", meal: "dinner" }],
+  "date-plugin.json": ["20261019", { from: "20261019", to: "20261019", meal: "all" }],
+  "date-period.json": ["영양 정보 이번주", { from: "20261019", to: "20261025", nutrition: true }],
+  "command.json": ["사진 20261019 점심", { when: "photo", photoYmd: "20261019", photoMeal: "lunch" }],
+};
+
+test("every fixture has a case", () => {
+  const files = fs.readdirSync(new URL("../fixtures/kakao/", import.meta.url)).filter((f) => f.endsWith(".json"));
+  assert.deepEqual(files.sort(), Object.keys(CASES).sort());
+});
+
+for (const [file, [utterance, want]] of Object.entries(CASES)) {
+  test(`fixtures/kakao/${file}`, () => {
+    const out = kakaoUtterance(payload(file), TUE);
+    assert.equal(out, utterance);
+    const got = parseUtter(out, TUE);
+    for (const [k, v] of Object.entries(want)) assert.equal(got[k], v, `${k} of "${out}"`);
+  });
+}
+
+test("date/meal parameters only go with dated commands", () => {
+  const body = payload("command.json");
+  body.action.detailParams.command.value = "alerts";
+  assert.equal(kakaoUtterance(body, TUE), "알림");
+  body.action.detailParams.command.value = "nutrition";
+  assert.equal(kakaoUtterance(body, TUE), "영양 20261019 점심");
+});
+
+test("kakaoDateParam reads every sys.date shape", () => {
+  assert.deepEqual(kakaoDateParam('{"dateTag":"tomorrow","value":"2026-10-21"}', TUE), { from: "20261021", to: "20261021" });
+  assert.deepEqual(kakaoDateParam('{"dateTag":"dayAfterTomorrow"}', TUE), { from: "20261022", to: "20261022" });
+  assert.deepEqual(kakaoDateParam('{"date":"2026-12-31"}', TUE), { from: "20261231", to: "20261231" });
+  assert.deepEqual(kakaoDateParam("2026-10-19", TUE), { from: "20261019", to: "20261019" });
+  assert.deepEqual(kakaoDateParam('{"from":{"date":"2026-10-26"},"to":{"date":"2026-11-01"}}', TUE), { from: "20261026", to: "20261101" });
+  assert.equal(kakaoDateParam('{"from":{"date":"2026-11-01"},"to":{"date":"2026-10-26"}}', TUE), null);
+  assert.equal(kakaoDateParam("2026-02-30", TUE), null);
+  assert.equal(kakaoDateParam("{not json", TUE), null);
+});
@@ -0,0 +1,32 @@
+// Menu version history: diffs stay within one provider, provider switches don't add versions.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadServer } from "./helpers.js";
+
+const { menuVersions, recordMenuVersion } = await loadServer();
+
+const YMD = "20991021"; // future day: never pruned
+const HAFS = { source: "hafs", lunch: "쌀밥\n제육볶음 (5.6.10)\n배추김치 (9)" };
+const NEIS = { source: "neis", lunch: "쌀밥\n제육 볶음\n배추김치" }; // same lunch, NEIS spelling
+const versions = () => menuVersions.data.days[YMD] || [];
+
+test("alternating providers with the same dishes store nothing new", () => {
+  recordMenuVersion(YMD, HAFS);
+  recordMenuVersion(YMD, NEIS);
+  for (let i = 0; i < 12; i++) recordMenuVersion(YMD, i % 2 ? NEIS : HAFS);
+  assert.deepEqual(versions().map((v) => v.source), ["hafs", "neis"]);
+  assert.ok(versions().every((v) => v.changes.length === 0));
+});
+
+test("an edit is diffed against the same provider's last version", () => {
+  const changed = recordMenuVersion(YMD, { source: "hafs", lunch: "쌀밥\n닭갈비 (5.6.15)\n배추김치 (9)" });
+  assert.deepEqual(changed.lunch.removed, ["제육볶음"]);
+  assert.deepEqual(changed.lunch.added, ["닭갈비"]);
+  assert.equal(versions().length, 3);
+});
+
+test("the other provider catching up with the edit is not a version", () => {
+  recordMenuVersion(YMD, { source: "neis", lunch: "쌀밥\n닭갈비\n배추김치" });
+  recordMenuVersion(YMD, { source: "hafs", lunch: "쌀밥\n닭갈비 (5.6.15)\n배추김치 (9)" });
+  assert.equal(versions().length, 3);
+});
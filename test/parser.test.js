@@ -0,0 +1,86 @@
+// Table-driven parser corpus: utterance + fixed "now" -> date range / meal.
+// Run with `npm test` (node --test). The server module is imported for its parsers only.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { kst, loadServer } from "./helpers.js";
+
+const { resolveDateExpr, parseUtter } = await loadServer();
+
+const WED = kst(2026, 10, 21); // Wednesday 2026-10-21 12:00 KST
+
+const CASES = [
+  // [utterance, now, { from, to, meal, when }]
+  ["오늘", WED, { from: "20261021", to: "20261021", meal: "all", when: "today" }],
+  ["내일 아침", WED, { from: "20261022", to: "20261022", meal: "breakfast", when: "tomorrow" }],
+  ["모레 점심", WED, { from: "20261023", to: "20261023", meal: "lunch" }],
+  ["어제 저녁 뭐였어", WED, { from: "20261020", to: "20261020", meal: "dinner" }],
+  ["금요일 메뉴", WED, { from: "20261023", to: "20261023", meal: "all" }],
+  ["월요일", WED, { from: "20261026", to: "20261026" }],
+  ["수요일", WED, { from: "20261021", to: "20261021" }],
+  ["다음주", WED, { from: "20261026", to: "20261101", when: "range" }],
+  ["이번주", WED, { from: "20261019", to: "20261025", when: "week" }],
+  ["지난주 수요일 점심", WED, { from: "20261014", to: "20261014", meal: "lunch" }],
+  ["다음주 금요일", WED, { from: "20261030", to: "20261030" }],
+  ["3/14 석식", WED, { from: "20270314", to: "20270314", meal: "dinner" }],
+  ["10/25 중식", WED, { from: "20261025", to: "20261025", meal: "lunch" }],
+  ["11월 5일 저녁", WED, { from: "20261105", to: "20261105", meal: "dinner" }],
+  ["20261105", WED, { from: "20261105", to: "20261105" }],
+  ["2026-11-05 점심", WED, { from: "20261105", to: "20261105", meal: "lunch" }],
+  ["글피", WED, { from: "20261024", to: "20261024" }],
+  // Month rollover
+  ["글피", kst(2026, 10, 30), { from: "20261102", to: "20261102" }],
+  ["내일", kst(2026, 10, 31), { from: "20261101", to: "20261101" }],
+  ["어제", kst(2026, 11, 1), { from: "20261031", to: "20261031" }],
+  ["다음주", kst(2026, 10, 29), { from: "20261102", to: "20261108" }],
+  // Year rollover
+  ["내일 점심", kst(2026, 12, 31), { from: "20270101", to: "20270101", meal: "lunch" }],
+  ["모레", kst(2026, 12, 31), { from: "20270102", to: "20270102" }],
+  ["어제", kst(2027, 1, 1), { from: "20261231", to: "20261231" }],
+  ["다음주", kst(2026, 12, 30), { from: "20270104", to: "20270110" }],
+  ["1/2 아침", kst(2026, 12, 20), { from: "20270102", to: "20270102", meal: "breakfast" }],
+  // English is rewritten first
+  ["lunch tomorrow", WED, { from: "20261022", to: "20261022", meal: "lunch" }],
+  ["dinner on friday", WED, { from: "20261023", to: "20261023", meal: "dinner" }],
+];
+
+for (const [utter, now, want] of CASES) {
+  test(`parseUtter("${utter}") @ ${now.toISOString().slice(0, 10)}`, () => {
+    const got = parseUtter(utter, now);
+    for (const [k, v] of Object.entries(want)) assert.equal(got[k], v, `${k} of "${utter}"`);
+  });
+}
+
+test("resolveDateExpr returns null without a date word", () => {
+  assert.equal(resolveDateExpr("메뉴 뭐야", WED), null);
+});
+
+test("resolveDateExpr rejects impossible dates", () => {
+  assert.equal(resolveDateExpr("20260231", WED), null);
+});
+
+test("photo requests keep their date and meal", () => {
+  const got = parseUtter("내일 저녁 사진", WED);
+  assert.equal(got.when, "photo");
+  assert.equal(got.photoYmd, "20261022");
+  assert.equal(got.photoMeal, "dinner");
+});
+
+const PHOTO_REQUESTS = ["사진", "show me the photo of dinner on friday", "사진 보여줘", "내일 점심 사진", "금요일 저녁 식단 사진 있어?", "3/14 석식 사진", "사진 20261021 아침", "오늘 점심 사진 좀"];
+for (const utter of PHOTO_REQUESTS) {
+  test(`"${utter}" is a photo request`, () => {
+    assert.equal(parseUtter(utter, WED).when, "photo");
+  });
+}
+
+const NOT_PHOTO = [
+  ["검색 사진", "search"],
+  ["알림 사진", "alerts"],
+  ["사진 언제", "search"],
+];
+for (const [utter, when] of NOT_PHOTO) {
+  test(`"${utter}" is not a photo request`, () => {
+    const got = parseUtter(utter, WED);
+    assert.notEqual(got.when, "photo");
+    if (when) assert.equal(got.when, when);
+  });
+}
@@ -0,0 +1,43 @@
+// Photo-ready notifications against a local stand-in for the Kakao Event API: subscribers are
+// only dropped once their batch was delivered.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadServer, startReceiver } from "./helpers.js";
+
+const kakao = await startReceiver({ status: "SUCCESS" });
+const { photoWatchStore, notifyPhotoSubscribers, deleteUserProfile } = await loadServer({
+  KAKAO_EVENT_API_BASE: kakao.url,
+  KAKAO_BOT_ID: "bot-1",
+  KAKAO_REST_API_KEY: "rest-key",
+});
+
+const YMD = "20991021";
+const KEY = `${YMD}|lunch`;
+const PHOTO = "https://hafs.example/photo.jpg";
+const users = Array.from({ length: 150 }, (_, i) => `user-${i}`);
+
+test("a failed batch keeps its subscribers, delivered ones are removed", async () => {
+  photoWatchStore.data.subs[KEY] = [...users];
+  kakao.statuses.push(500);
+  await assert.rejects(notifyPhotoSubscribers(YMD, "lunch", PHOTO));
+  assert.deepEqual(photoWatchStore.data.subs[KEY], users.slice(0, 100));
+  assert.equal(kakao.received.length, 2);
+  assert.equal(kakao.received[1].body.user.length, 50);
+});
+
+test("the retry delivers the rest and clears the subscription", async () => {
+  await notifyPhotoSubscribers(YMD, "lunch", PHOTO);
+  assert.equal(photoWatchStore.data.subs[KEY], undefined);
+  const last = kakao.received.at(-1);
+  assert.equal(last.url, "/v2/bots/bot-1/talk");
+  assert.equal(last.headers.authorization, "KakaoAK rest-key");
+  assert.equal(last.body.user.length, 100);
+  assert.equal(last.body.event.name, "photo_alert");
+});
+
+test("deleting a profile drops the user's photo subscriptions", () => {
+  photoWatchStore.data.subs[KEY] = ["user-1", "user-2"];
+  photoWatchStore.data.subs[`${YMD}|dinner`] = ["user-1"];
+  deleteUserProfile("user-1");
+  assert.deepEqual(photoWatchStore.data.subs, { [KEY]: ["user-2"] });
+});
@@ -0,0 +1,40 @@
+// Kakao rendering: truncated list/card descriptions must keep the user's allergy warnings.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadServer } from "./helpers.js";
+
+const { renderKakao, dayListReply, dayCardDescription } = await loadServer();
+
+// Long enough that the milk dish at the end would be cut by the 60-char list limit
+const LUNCH = [
+  "현미밥",
+  "돈육김치찌개 (5.9.10.13)",
+  "제육볶음 (5.6.10.13)",
+  "잡채 (5.6.10.13)",
+  "배추김치 (9.13)",
+  "크림치즈케이크 (1.2.5.6)",
+].join("\n");
+const DINNER = "쌀밥\n된장국 (5.6)\n생선까스 (1.5.6)";
+const LATE = "우유빵 (2.5.6)";
+const OPTS = { allergens: [2], lang: "ko" };
+
+test("list descriptions lead with the allergy warning", () => {
+  const kakao = renderKakao(dayListReply("20261021", { lunch: LUNCH }, OPTS));
+  const item = kakao.template.outputs[0].listCard.items[0];
+  assert.match(item.description, /^⚠️ 우유 \| /);
+});
+
+test("dinner list item warns about the late meal too", () => {
+  const reply = dayListReply("20261021", { dinner: DINNER, late: LATE }, OPTS);
+  assert.match(reply.blocks[0].items[0].description, /^⚠️ 우유 \| /);
+});
+
+test("card descriptions start with one warning line for the day", () => {
+  const desc = dayCardDescription({ lunch: LUNCH, dinner: DINNER }, OPTS);
+  assert.equal(desc.split("\n")[0], "⚠️ 중식 우유");
+});
+
+test("no warning without a matching allergen", () => {
+  const desc = dayCardDescription({ lunch: LUNCH }, { allergens: [3], lang: "ko" });
+  assert.doesNotMatch(desc, /⚠️/);
+});